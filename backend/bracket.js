@@ -0,0 +1,64 @@
+// Single-elimination brackets. Entries are seeded at random, the bracket is
+// padded to a power of two with byes for the top seeds, and seeds are placed
+// so the top two can only meet in the final.
+
+// Seed numbers in bracket order, e.g. [1, 8, 4, 5, 2, 7, 3, 6] for 8 slots
+function seedOrder(size) {
+  let order = [1];
+  while (order.length < size) {
+    const slots = order.length * 2;
+    order = order.flatMap(seed => [seed, slots + 1 - seed]);
+  }
+  return order;
+}
+
+function roundCount(entryCount) {
+  return entryCount < 2 ? 0 : Math.ceil(Math.log2(entryCount));
+}
+
+// First-round matches for the given entry IDs. Each match is
+// { position, entryA, entryB, seedA, seedB }, where entryB is null for a bye.
+function drawFirstRound(entryIds) {
+  const seeded = entryIds
+    .map(id => ({ id, sortKey: Math.random() }))
+    .sort((a, b) => a.sortKey - b.sortKey)
+    .map(e => e.id);
+  const order = seedOrder(2 ** roundCount(entryIds.length));
+  const matches = [];
+  for (let i = 0; i < order.length; i += 2) {
+    const [seedA, seedB] = order[i] < order[i + 1] ? [order[i], order[i + 1]] : [order[i + 1], order[i]];
+    matches.push({
+      position: i / 2,
+      entryA: seeded[seedA - 1],
+      entryB: seedB <= seeded.length ? seeded[seedB - 1] : null,
+      seedA,
+      seedB: seedB <= seeded.length ? seedB : null
+    });
+  }
+  return matches;
+}
+
+// The winner of a closed match: more votes, then the better (lower) seed
+function decideMatch(match, votesA, votesB) {
+  if (match.entry_b === null) return { winnerId: match.entry_a, decidedBy: 'bye' };
+  if (votesA !== votesB) return { winnerId: votesA > votesB ? match.entry_a : match.entry_b, decidedBy: 'votes' };
+  return { winnerId: match.seed_a < match.seed_b ? match.entry_a : match.entry_b, decidedBy: 'seed' };
+}
+
+// Next-round matches from a closed round's matches, ordered by position
+function pairWinners(matches) {
+  const next = [];
+  for (let i = 0; i < matches.length; i += 2) {
+    const [a, b] = [matches[i], matches[i + 1]];
+    const seedOf = m => (m.winner_id === m.entry_a ? m.seed_a : m.seed_b);
+    next.push({ position: i / 2, entryA: a.winner_id, entryB: b.winner_id, seedA: seedOf(a), seedB: seedOf(b) });
+  }
+  return next;
+}
+
+module.exports = {
+  roundCount,
+  drawFirstRound,
+  decideMatch,
+  pairWinners
+};
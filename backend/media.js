@@ -0,0 +1,141 @@
+// Photos and video clips for entries. Photos are normalized with sharp and
+// saved in several sizes. Clips are measured and given a poster frame with
+// ffmpeg/ffprobe, which must be on the PATH (the Docker image installs them).
+
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs/promises');
+const path = require('path');
+const sharp = require('sharp');
+const heicConvert = require('heic-convert');
+
+const run = promisify(execFile);
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/heic', 'image/heif'];
+const VIDEO_TYPES = ['video/mp4', 'video/webm', 'video/quicktime'];
+const HEIC_TYPES = ['image/heic', 'image/heif'];
+
+// Smaller copies of every photo, stored under uploads/<size>/ with the same filename.
+// The full-size photo itself is capped at FULL_SIZE pixels on its longer side.
+const IMAGE_SIZES = { thumb: 400, medium: 1200 };
+const FULL_SIZE = 2560;
+
+function isVideo(file) {
+  return VIDEO_TYPES.includes(file.mimetype);
+}
+
+// Length of a clip in seconds. Rejects with code 'ENOENT' when ffprobe isn't
+// installed, and with a non-zero exit when the file isn't a readable video.
+async function getVideoDuration(filePath) {
+  const { stdout } = await run('ffprobe', [
+    '-v', 'error',
+    '-show_entries', 'format=duration',
+    '-of', 'default=noprint_wrappers=1:nokey=1',
+    filePath
+  ]);
+  const duration = parseFloat(stdout);
+  if (!Number.isFinite(duration)) {
+    throw new Error(`Could not read the duration of ${filePath}`);
+  }
+  return duration;
+}
+
+// Save a JPEG frame from a second in (or halfway through very short clips),
+// so galleries can show a still without loading the video
+async function createPoster(filePath, posterPath, duration) {
+  const at = Math.min(1, duration / 2);
+  await run('ffmpeg', ['-v', 'error', '-y', '-ss', String(at), '-i', filePath, '-frames:v', '1', '-q:v', '3', posterPath]);
+}
+
+// Remove container and stream metadata from a clip in place (phones record the
+// location and device there). The audio and video are copied, not re-encoded.
+// Only the video and audio streams are kept: iPhone clips also carry timecode
+// and metadata tracks (tmcd, mebx) that often can't be copied into a new file.
+async function stripVideoMetadata(filePath) {
+  const { dir, name, ext } = path.parse(filePath);
+  const stripped = path.join(dir, `${name}.stripped${ext}`);
+  try {
+    await run('ffmpeg', ['-v', 'error', '-y', '-i', filePath, '-map', '0:v', '-map', '0:a?', '-map_metadata', '-1', '-map_chapters', '-1', '-c', 'copy', stripped]);
+    await fs.rename(stripped, filePath);
+  } catch (error) {
+    await fs.rm(stripped, { force: true });
+    throw error;
+  }
+}
+
+function resizeTo(image, size) {
+  return image.clone().resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true });
+}
+
+// Write the smaller sizes of a stored photo, in the format its extension names
+async function createImageSizes(uploadsDir, filename, input) {
+  const image = sharp(input, { animated: true }).rotate();
+  const format = path.extname(filename).slice(1).replace('jpg', 'jpeg');
+  for (const [size, pixels] of Object.entries(IMAGE_SIZES)) {
+    await resizeTo(image, pixels).toFormat(format).toFile(path.join(uploadsDir, size, filename));
+  }
+}
+
+// Turn an uploaded photo into a WebP that any browser can show: HEIC is decoded
+// first, the photo is turned upright from its EXIF orientation, and it's scaled
+// down to FULL_SIZE with the smaller sizes saved alongside. sharp leaves EXIF,
+// GPS and other metadata out of what it writes, so none of it survives. Returns
+// the new filename; the original upload is replaced.
+async function processImage(uploadsDir, filename, mimetype) {
+  const source = path.join(uploadsDir, filename);
+  let input = await fs.readFile(source);
+  if (HEIC_TYPES.includes(mimetype) || /\.hei[cf]$/i.test(filename)) {
+    input = await heicConvert({ buffer: input, format: 'JPEG', quality: 0.92 });
+  }
+
+  const output = `${path.parse(filename).name}.webp`;
+  const image = sharp(input, { animated: true }).rotate();
+  await resizeTo(image, FULL_SIZE).webp({ quality: 85 }).toFile(path.join(uploadsDir, output));
+  await createImageSizes(uploadsDir, output, input);
+  if (output !== filename) await fs.unlink(source);
+  return output;
+}
+
+// Perceptual "difference hash" of a stored photo: shrunk to 9x8 greyscale, each
+// bit says whether a pixel is brighter than its right-hand neighbour. Resized,
+// recompressed or lightly edited copies of a photo get nearly the same 64 bits.
+// Returned as 16 hex digits.
+async function perceptualHash(filePath) {
+  const pixels = await sharp(filePath)
+    .greyscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+  let hash = 0n;
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col++) {
+      hash = (hash << 1n) | (pixels[row * 9 + col] > pixels[row * 9 + col + 1] ? 1n : 0n);
+    }
+  }
+  return hash.toString(16).padStart(16, '0');
+}
+
+// Number of bits two perceptual hashes differ in, from 0 (alike) to 64
+function hashDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+}
+
+module.exports = {
+  IMAGE_TYPES,
+  VIDEO_TYPES,
+  IMAGE_SIZES,
+  isVideo,
+  getVideoDuration,
+  createPoster,
+  stripVideoMetadata,
+  processImage,
+  createImageSizes,
+  perceptualHash,
+  hashDistance
+};
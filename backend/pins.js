@@ -0,0 +1,59 @@
+// Admin PINs and recovery codes. Both are stored as "scrypt$<salt>$<hash>";
+// contests from older versions have a bare SHA-256 hash of the PIN instead.
+// Shared by the server and the reset-pin command.
+
+const crypto = require('crypto');
+const { customAlphabet } = require('nanoid');
+
+const MIN_PIN_LENGTH = 4;
+
+// Recovery codes use the invite code alphabet (no 0/O or 1/I), written in
+// groups of four, e.g. "7KQM-X2RD-HNC9-4TWE"
+const RECOVERY_CODE_ALPHABET = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+const generateRecoveryChars = customAlphabet(RECOVERY_CODE_ALPHABET, 16);
+
+function hashPin(pin) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(pin), salt, 32);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+function pinMatches(pin, storedHash) {
+  const [scheme, salt, hash] = storedHash.split('$');
+  const [expected, actual] = scheme === 'scrypt'
+    ? [Buffer.from(hash, 'hex'), crypto.scryptSync(String(pin), Buffer.from(salt, 'hex'), 32)]
+    : [Buffer.from(storedHash, 'hex'), crypto.createHash('sha256').update(String(pin)).digest()];
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function isValidPin(pin) {
+  return typeof pin === 'string' && pin.length >= MIN_PIN_LENGTH;
+}
+
+function generateRecoveryCode() {
+  return generateRecoveryChars().match(/.{4}/g).join('-');
+}
+
+// Codes are hashed without their dashes and in capitals, so they can be typed
+// back in any case and with or without the grouping
+function normalizeRecoveryCode(code) {
+  return String(code).toUpperCase().replace(/[^0-9A-Z]/g, '');
+}
+
+function hashRecoveryCode(code) {
+  return hashPin(normalizeRecoveryCode(code));
+}
+
+function recoveryCodeMatches(code, storedHash) {
+  return pinMatches(normalizeRecoveryCode(code), storedHash);
+}
+
+module.exports = {
+  MIN_PIN_LENGTH,
+  hashPin,
+  pinMatches,
+  isValidPin,
+  generateRecoveryCode,
+  hashRecoveryCode,
+  recoveryCodeMatches
+};
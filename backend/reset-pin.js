@@ -0,0 +1,52 @@
+// Reset a contest's admin PIN from the command line, for server operators:
+//
+//   node reset-pin.js <contest-slug> <new-pin>
+//
+// In Docker: docker compose exec app node reset-pin.js <contest-slug> <new-pin>
+//
+// Everyone logged in to the contest's admin panel is logged out, its record of
+// wrong PINs is cleared (lifting any lockout), and the contest gets a new
+// recovery code, printed here for the organizer.
+
+const path = require('path');
+const fs = require('fs');
+const Database = require('better-sqlite3');
+const { MIN_PIN_LENGTH, hashPin, isValidPin, generateRecoveryCode, hashRecoveryCode } = require('./pins');
+
+// The same database the server uses
+const DATA_DIR = process.env.NODE_ENV === 'production' ? '/app/data' : path.join(__dirname, 'data');
+const DB_PATH = path.join(DATA_DIR, 'contests.db');
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+const [slug, pin] = process.argv.slice(2);
+if (!slug || !pin) {
+  fail('Usage: node reset-pin.js <contest-slug> <new-pin>');
+}
+if (!isValidPin(pin)) {
+  fail(`The PIN must be at least ${MIN_PIN_LENGTH} characters`);
+}
+if (!fs.existsSync(DB_PATH)) {
+  fail(`No database at ${DB_PATH}. Has the server been started?`);
+}
+
+const db = new Database(DB_PATH);
+const contest = db.prepare('SELECT id, name FROM contests WHERE slug = ?').get(slug);
+if (!contest) {
+  fail(`No contest with the slug "${slug}"`);
+}
+
+const recoveryCode = generateRecoveryCode();
+db.transaction(() => {
+  db.prepare('UPDATE contests SET admin_pin_hash = ?, recovery_code_hash = ? WHERE id = ?')
+    .run(hashPin(pin), hashRecoveryCode(recoveryCode), contest.id);
+  db.prepare('DELETE FROM admin_sessions WHERE contest_id = ?').run(contest.id);
+  db.prepare('DELETE FROM pin_attempts WHERE contest_id = ? AND succeeded = 0').run(contest.id);
+})();
+db.close();
+
+console.log(`Reset the admin PIN for "${contest.name}".`);
+console.log(`New recovery code: ${recoveryCode}`);
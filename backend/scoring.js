@@ -0,0 +1,398 @@
+// Scoring methods for contest results.
+// Every method takes the contest's entries and its raw vote rows
+// ({ voter_id, entry_id, rank, weight? }) and returns the entries in finishing
+// order, each annotated with a score, a per-rank vote breakdown and a final place.
+// A vote row's weight (1 when absent) scales everything its ballot counts for.
+// Equal scores are settled by a fixed tie-break chain (see breakTies).
+
+const SCORING_METHODS = ['borda', 'approval', 'irv', 'schulze'];
+
+// N points for 1st down to 1 point for last, e.g. [3, 2, 1] for three picks
+function defaultBordaWeights(picks) {
+  return Array.from({ length: picks }, (_, i) => picks - i);
+}
+
+function voteWeight(vote) {
+  return vote.weight ?? 1;
+}
+
+// Group vote rows into one weighted ballot per voter, with picks ordered by rank
+function groupBallots(votes) {
+  const ballots = new Map();
+  for (const vote of votes) {
+    if (!ballots.has(vote.voter_id)) ballots.set(vote.voter_id, { weight: voteWeight(vote), picks: [] });
+    ballots.get(vote.voter_id).picks.push({ entryId: vote.entry_id, rank: vote.rank });
+  }
+  return [...ballots.values()].map(ballot => ({ ...ballot, picks: ballot.picks.sort((a, b) => a.rank - b.rank) }));
+}
+
+// Weighted number of votes each entry received at each rank; index 0 is 1st place
+function countVotesByRank(entries, votes, picks) {
+  const breakdowns = new Map(entries.map(e => [e.id, Array(picks).fill(0)]));
+  for (const vote of votes) {
+    const breakdown = breakdowns.get(vote.entry_id);
+    if (breakdown && vote.rank <= picks) breakdown[vote.rank - 1] += voteWeight(vote);
+  }
+  return breakdowns;
+}
+
+// Weighted points per rank, e.g. [3, 2, 1]
+function borda(entryIds, ballots, weights) {
+  const scores = new Map(entryIds.map(id => [id, 0]));
+  for (const ballot of ballots) {
+    for (const pick of ballot.picks) {
+      if (scores.has(pick.entryId)) {
+        scores.set(pick.entryId, scores.get(pick.entryId) + (weights[pick.rank - 1] || 0) * ballot.weight);
+      }
+    }
+  }
+  return sortByScore(scores);
+}
+
+// One point for every ballot an entry appears on, regardless of rank
+function approval(entryIds, ballots) {
+  const scores = new Map(entryIds.map(id => [id, 0]));
+  for (const ballot of ballots) {
+    for (const pick of ballot.picks) {
+      if (scores.has(pick.entryId)) scores.set(pick.entryId, scores.get(pick.entryId) + ballot.weight);
+    }
+  }
+  return sortByScore(scores);
+}
+
+// Repeatedly eliminate the entry with the fewest top choices until one has a
+// majority. The score is the number of ballots an entry held in the last round
+// it took part in; eliminated entries finish in reverse order of elimination.
+// When several entries share the fewest top choices, the one with the fewest
+// votes at each rank overall is eliminated first.
+function instantRunoff(entryIds, ballots, breakdowns) {
+  const remaining = new Set(entryIds);
+  const eliminated = [];
+
+  for (let round = 1; remaining.size > 0; round++) {
+    const tallies = new Map([...remaining].map(id => [id, 0]));
+    for (const ballot of ballots) {
+      const pick = ballot.picks.find(p => remaining.has(p.entryId));
+      if (pick) tallies.set(pick.entryId, tallies.get(pick.entryId) + ballot.weight);
+    }
+
+    const standings = sortByScore(tallies).map(s => ({ ...s, round }));
+    const activeBallots = standings.reduce((sum, s) => sum + s.score, 0);
+
+    if (remaining.size === 1 || standings[0].score * 2 > activeBallots) {
+      return standings.concat(eliminated.reverse());
+    }
+
+    const fewest = standings[standings.length - 1].score;
+    const loser = standings
+      .filter(s => s.score === fewest)
+      .sort((a, b) => compareRankCounts(breakdowns.get(a.entryId), breakdowns.get(b.entryId)))
+      .at(-1);
+    remaining.delete(loser.entryId);
+    eliminated.push(loser);
+  }
+
+  return eliminated.reverse();
+}
+
+// Condorcet ranking via the Schulze method. Ranked entries are preferred over
+// unranked ones; unranked entries are tied with each other. The score is the
+// number of other entries an entry beats on strongest-path strength.
+function schulze(entryIds, ballots) {
+  const n = entryIds.length;
+  const index = new Map(entryIds.map((id, i) => [id, i]));
+  const d = Array.from({ length: n }, () => Array(n).fill(0));
+
+  for (const ballot of ballots) {
+    const position = Array(n).fill(Infinity);
+    for (const pick of ballot.picks) {
+      if (index.has(pick.entryId)) position[index.get(pick.entryId)] = pick.rank;
+    }
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j < n; j++) {
+        if (position[i] < position[j]) d[i][j] += ballot.weight;
+      }
+    }
+  }
+
+  const p = Array.from({ length: n }, (_, i) =>
+    Array.from({ length: n }, (_, j) => (i !== j && d[i][j] > d[j][i] ? d[i][j] : 0))
+  );
+  for (let k = 0; k < n; k++) {
+    for (let i = 0; i < n; i++) {
+      if (i === k) continue;
+      for (let j = 0; j < n; j++) {
+        if (j === i || j === k) continue;
+        p[i][j] = Math.max(p[i][j], Math.min(p[i][k], p[k][j]));
+      }
+    }
+  }
+
+  const wins = new Map(entryIds.map((id, i) => [id, p[i].filter((strength, j) => strength > p[j][i]).length]));
+  return sortByScore(wins);
+}
+
+// Negative when breakdown a has more votes at the first rank where they differ
+// (also used for per-criterion averages, highest first)
+function compareRankCounts(a, b) {
+  const rank = a.findIndex((count, i) => count !== b[i]);
+  return rank === -1 ? 0 : b[rank] - a[rank];
+}
+
+// Weighted number of ballots that rank entry a above entry b; unranked entries come last
+function headToHead(ballots, a, b) {
+  let count = 0;
+  for (const ballot of ballots) {
+    const rankA = ballot.picks.find(p => p.entryId === a)?.rank ?? Infinity;
+    const rankB = ballot.picks.find(p => p.entryId === b)?.rank ?? Infinity;
+    if (rankA < rankB) count += ballot.weight;
+  }
+  return count;
+}
+
+function ordinal(n) {
+  const suffixes = { one: 'st', two: 'nd', few: 'rd', other: 'th' };
+  return `${n}${suffixes[new Intl.PluralRules('en-US', { type: 'ordinal' }).select(n)]}`;
+}
+
+// Split a sorted list into runs of items that compare equal
+function groupRuns(items, compare) {
+  const runs = [];
+  for (const item of items) {
+    const run = runs[runs.length - 1];
+    if (run && compare(run[0], item) === 0) run.push(item);
+    else runs.push([item]);
+  }
+  return runs;
+}
+
+// Order entries that finished on the same score: most 1st-place votes, then
+// most 2nd-place votes and so on, then head-to-head wins among the entries
+// still level. Entries level after that share their place. Each entry records
+// why it finished above the tied entry directly below it.
+function breakTies(tied, ballots, breakdowns) {
+  const byRankCounts = (a, b) => compareRankCounts(breakdowns.get(a.entryId), breakdowns.get(b.entryId));
+  const ordered = [];
+
+  for (const run of groupRuns([...tied].sort(byRankCounts), byRankCounts)) {
+    const wins = new Map(run.map(s => [s.entryId, run.filter(other =>
+      other !== s && headToHead(ballots, s.entryId, other.entryId) > headToHead(ballots, other.entryId, s.entryId)
+    ).length]));
+    run.sort((a, b) => wins.get(b.entryId) - wins.get(a.entryId));
+    ordered.push(...run.map(s => ({ ...s, wins: wins.get(s.entryId), runSize: run.length })));
+  }
+
+  return ordered.map((s, i) => ({
+    entryId: s.entryId,
+    score: s.score,
+    tieBreak: i < ordered.length - 1 ? explainTieBreak(s, ordered[i + 1], ballots, breakdowns) : null
+  }));
+}
+
+function explainTieBreak(above, below, ballots, breakdowns) {
+  const a = breakdowns.get(above.entryId);
+  const b = breakdowns.get(below.entryId);
+  const rank = a.findIndex((count, r) => count !== b[r]);
+
+  if (rank !== -1) {
+    return { rule: 'rankVotes', rank: rank + 1, explanation: `More ${ordinal(rank + 1)}-place votes (${a[rank]} vs ${b[rank]})` };
+  }
+  if (above.wins === below.wins) {
+    return { rule: 'shared', explanation: 'Level on every tie-breaker, so the place is shared' };
+  }
+  if (above.runSize === 2) {
+    const votesFor = headToHead(ballots, above.entryId, below.entryId);
+    const votesAgainst = headToHead(ballots, below.entryId, above.entryId);
+    return { rule: 'headToHead', explanation: `Won the head-to-head (ranked higher by ${votesFor} voters vs ${votesAgainst})` };
+  }
+  return { rule: 'headToHead', explanation: `More head-to-head wins among the tied entries (${above.wins} vs ${below.wins})` };
+}
+
+function sortByScore(scores) {
+  return [...scores.entries()]
+    .map(([entryId, score]) => ({ entryId, score }))
+    .sort((a, b) => b.score - a.score);
+}
+
+// Returns entries in finishing order with `score`, `place`, `tieBreak` and
+// `voteBreakdown` attached. Tied entries that share a place have the same `place`.
+function scoreContest(entries, votes, { method = 'borda', weights, maxPicks = 3 } = {}) {
+  const entryIds = entries.map(e => e.id);
+  const ballots = groupBallots(votes);
+
+  const breakdowns = countVotesByRank(entries, votes, maxPicks);
+
+  let standings;
+  switch (method) {
+    case 'approval':
+      standings = approval(entryIds, ballots);
+      break;
+    case 'irv':
+      standings = instantRunoff(entryIds, ballots, breakdowns);
+      break;
+    case 'schulze':
+      standings = schulze(entryIds, ballots);
+      break;
+    default:
+      standings = borda(entryIds, ballots, weights || defaultBordaWeights(maxPicks));
+  }
+
+  // Entries tie when they share a score (and, for instant runoff, a round)
+  const ties = groupRuns(standings, (a, b) => (a.score === b.score && a.round === b.round ? 0 : 1));
+  const ordered = ties.flatMap(run => (run.length > 1
+    ? breakTies(run, ballots, breakdowns)
+    : [{ entryId: run[0].entryId, score: run[0].score, tieBreak: null }]));
+
+  return assignPlaces(entries, ordered, entryId => ({ voteBreakdown: breakdowns.get(entryId) }));
+}
+
+// Attach each entry's score, place and tie-break in finishing order, plus any
+// method-specific details. Entries share a place after a 'shared' tie-break.
+function assignPlaces(entries, ordered, details) {
+  const byId = new Map(entries.map(e => [e.id, e]));
+  let place = 0;
+  return ordered.map((s, index) => {
+    if (index === 0 || ordered[index - 1].tieBreak?.rule !== 'shared') place = index + 1;
+    return {
+      ...byId.get(s.entryId),
+      score: s.score,
+      place,
+      tieBreak: s.tieBreak,
+      ...details(s.entryId)
+    };
+  });
+}
+
+function roundScore(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Judge rubric scoring. Each criterion is averaged over the judges who scored
+// it, and an entry's score is the sum of its criterion averages. Equal totals
+// are separated by the higher average on the first criterion where they
+// differ, in the order the criteria were defined; otherwise the place is shared.
+// Score rows are { judge_id, entry_id, criterion_id, score }.
+function scoreRubric(entries, scores, criteria) {
+  const averages = new Map(entries.map(e => [e.id, criteria.map(criterion => {
+    const given = scores.filter(s => s.entry_id === e.id && s.criterion_id === criterion.id);
+    return given.length ? roundScore(given.reduce((sum, s) => sum + s.score, 0) / given.length) : 0;
+  })]));
+  const judgeCounts = new Map(entries.map(e => [e.id, new Set(scores.filter(s => s.entry_id === e.id).map(s => s.judge_id)).size]));
+  const totals = new Map(entries.map(e => [e.id, roundScore(averages.get(e.id).reduce((sum, avg) => sum + avg, 0))]));
+
+  const byCriteria = (a, b) => compareRankCounts(averages.get(a.entryId), averages.get(b.entryId));
+  const ordered = groupRuns(sortByScore(totals), (a, b) => (a.score === b.score ? 0 : 1))
+    .flatMap(run => run.sort(byCriteria).map((s, i) => ({
+      ...s,
+      tieBreak: i < run.length - 1 ? explainCriteriaTieBreak(averages.get(s.entryId), averages.get(run[i + 1].entryId), criteria) : null
+    })));
+
+  return assignPlaces(entries, ordered, entryId => ({
+    criteriaAverages: criteria.map((criterion, i) => ({ criterionId: criterion.id, name: criterion.name, average: averages.get(entryId)[i] })),
+    judgeCount: judgeCounts.get(entryId)
+  }));
+}
+
+function explainCriteriaTieBreak(above, below, criteria) {
+  const i = above.findIndex((avg, c) => avg !== below[c]);
+  if (i === -1) {
+    return { rule: 'shared', explanation: 'Level on every criterion, so the place is shared' };
+  }
+  return { rule: 'criterion', explanation: `Higher ${criteria[i].name} average (${above[i]} vs ${below[i]})` };
+}
+
+// Head-to-head picks rated with the Bradley–Terry model, shown on an Elo-style
+// scale where 1500 is an average entry and a 400-point gap means 10-to-1 odds.
+// Every entry also gets one virtual win and loss against an average entry, so
+// unbeaten or winless entries still get a finite rating and entries nobody has
+// compared stay at 1500. Comparison rows are { voter_id, winner_id, loser_id, weight? }.
+function scorePairwise(entries, comparisons) {
+  const ids = entries.map(e => e.id);
+  const wins = new Map(ids.map(id => [id, 0]));
+  const losses = new Map(ids.map(id => [id, 0]));
+  const games = new Map(ids.map(id => [id, new Map()]));
+  for (const c of comparisons) {
+    if (!wins.has(c.winner_id) || !wins.has(c.loser_id)) continue;
+    const weight = voteWeight(c);
+    wins.set(c.winner_id, wins.get(c.winner_id) + weight);
+    losses.set(c.loser_id, losses.get(c.loser_id) + weight);
+    for (const [a, b] of [[c.winner_id, c.loser_id], [c.loser_id, c.winner_id]]) {
+      games.get(a).set(b, (games.get(a).get(b) || 0) + weight);
+    }
+  }
+
+  // Minorization-maximization updates; a few hundred rounds is plenty for family-sized contests
+  let strength = new Map(ids.map(id => [id, 1]));
+  for (let round = 0; round < 200; round++) {
+    strength = new Map(ids.map(id => {
+      let denominator = 2 / (strength.get(id) + 1);
+      for (const [other, count] of games.get(id)) {
+        denominator += count / (strength.get(id) + strength.get(other));
+      }
+      return [id, (wins.get(id) + 1) / denominator];
+    }));
+  }
+
+  const ratings = new Map(ids.map(id => [id, Math.round(1500 + 400 * Math.log10(strength.get(id)))]));
+  const beats = (a, b) => comparisons.filter(c => c.winner_id === a && c.loser_id === b).reduce((sum, c) => sum + voteWeight(c), 0);
+  const byWins = (a, b) => wins.get(b.entryId) - wins.get(a.entryId) ||
+    beats(b.entryId, a.entryId) - beats(a.entryId, b.entryId);
+
+  const ordered = groupRuns(sortByScore(ratings), (a, b) => (a.score === b.score ? 0 : 1))
+    .flatMap(run => run.sort(byWins).map((s, i) => ({
+      ...s,
+      tieBreak: i < run.length - 1 ? explainPairwiseTieBreak(s.entryId, run[i + 1].entryId, wins, beats) : null
+    })));
+
+  return assignPlaces(entries, ordered, entryId => ({
+    record: { wins: wins.get(entryId), losses: losses.get(entryId) }
+  }));
+}
+
+function explainPairwiseTieBreak(above, below, wins, beats) {
+  if (wins.get(above) !== wins.get(below)) {
+    return { rule: 'wins', explanation: `More head-to-head picks won (${wins.get(above)} vs ${wins.get(below)})` };
+  }
+  if (beats(above, below) !== beats(below, above)) {
+    return { rule: 'headToHead', explanation: `Won their direct matchups (${beats(above, below)} vs ${beats(below, above)})` };
+  }
+  return { rule: 'shared', explanation: 'Level on rating and wins, so the place is shared' };
+}
+
+// Final standings of a single-elimination bracket. The champion is 1st, the
+// losing finalist 2nd, and entries knocked out in the same earlier round share
+// the next place (both losing semifinalists are 3rd, and so on). The score is
+// the number of rounds an entry advanced. Match rows are
+// { round, entry_a, entry_b, winner_id, votes_a, votes_b }.
+function scoreBracket(entries, matches) {
+  const advanced = new Map(entries.map(e => [e.id, 0]));
+  const votesReceived = new Map(entries.map(e => [e.id, 0]));
+  for (const match of matches) {
+    if (match.winner_id === null) continue;
+    advanced.set(match.winner_id, advanced.get(match.winner_id) + 1);
+    votesReceived.set(match.entry_a, votesReceived.get(match.entry_a) + (match.votes_a || 0));
+    if (match.entry_b !== null) votesReceived.set(match.entry_b, votesReceived.get(match.entry_b) + (match.votes_b || 0));
+  }
+
+  const byVotes = (a, b) => votesReceived.get(b.entryId) - votesReceived.get(a.entryId);
+  const ordered = groupRuns(sortByScore(advanced), (a, b) => (a.score === b.score ? 0 : 1))
+    .flatMap(run => run.sort(byVotes).map((s, i) => ({
+      ...s,
+      tieBreak: i < run.length - 1
+        ? { rule: 'shared', explanation: 'Knocked out in the same round, so the place is shared' }
+        : null
+    })));
+
+  return assignPlaces(entries, ordered, entryId => ({
+    bracket: { roundsAdvanced: advanced.get(entryId), votesReceived: votesReceived.get(entryId) }
+  }));
+}
+
+module.exports = {
+  SCORING_METHODS,
+  defaultBordaWeights,
+  scoreContest,
+  scoreRubric,
+  scorePairwise,
+  scoreBracket
+};
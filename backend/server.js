@@ -3,14 +3,46 @@ const cors = require('cors');
 const path = require('path');
 const multer = require('multer');
 const slugify = require('slugify');
-const { nanoid } = require('nanoid');
+const { nanoid, customAlphabet } = require('nanoid');
 const Database = require('better-sqlite3');
 const fs = require('fs');
 const crypto = require('crypto');
+const { SCORING_METHODS, defaultBordaWeights, scoreContest, scoreRubric, scorePairwise, scoreBracket } = require('./scoring');
+const { roundCount, drawFirstRound, decideMatch, pairWinners } = require('./bracket');
+const { IMAGE_TYPES, VIDEO_TYPES, IMAGE_SIZES, isVideo, getVideoDuration, createPoster, stripVideoMetadata, processImage, perceptualHash, hashDistance } = require('./media');
+const { MIN_PIN_LENGTH, hashPin, pinMatches, isValidPin, generateRecoveryCode, hashRecoveryCode, recoveryCodeMatches } = require('./pins');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const MAX_FILE_SIZE = (parseInt(process.env.MAX_FILE_SIZE_MB) || 25) * 1024 * 1024;
+const MAX_VIDEO_SIZE = (parseInt(process.env.MAX_VIDEO_SIZE_MB) || 100) * 1024 * 1024;
+const MAX_VIDEO_SECONDS = 120;
+const MAX_PICKS_LIMIT = 10;
+const MAX_CATEGORIES = 10;
+const MAX_DIVISIONS = 10;
+const DIVISION_VOTING = ['overall', 'within'];
+const MAX_VOTER_GROUPS = 10;
+const MAX_GROUP_WEIGHT = 10;
+// A group's own standings are only published with this many voters, so they
+// can't be read back as one or two people's ballots
+const MIN_GROUP_VOTERS = 3;
+const VOTING_MODES = ['ranked', 'judged', 'pairwise', 'bracket'];
+const MAX_CRITERIA = 10;
+const MAX_CRITERION_SCORE = 100;
+const MAX_ENTRY_MEDIA = 6;
+const DUPLICATE_POLICIES = ['flag', 'reject'];
+const DUPLICATE_DISTANCE = 6; // of the 64 bits in a perceptual hash
+const ADMIN_SESSION_HOURS = 12;
+// Wrong admin PINs: each one from an address doubles its wait before the next
+// try, and too many within the window lock the address, or the whole contest, out
+const PIN_ATTEMPT_WINDOW_MINUTES = 15;
+const MAX_PIN_FAILURES_PER_IP = 10;
+const MAX_PIN_FAILURES_PER_CONTEST = 30;
+const MAX_PIN_BACKOFF_SECONDS = 60;
+const PIN_ATTEMPT_RETENTION_DAYS = 30;
+
+// Short, easy-to-read invite codes (no 0/O or 1/I)
+const generateInviteCode = customAlphabet('23456789ABCDEFGHJKLMNPQRSTUVWXYZ', 6);
 
 // Ensure directories exist
 const DATA_DIR = process.env.NODE_ENV === 'production' ? '/app/data' : path.join(__dirname, 'data');
@@ -18,11 +50,34 @@ const UPLOADS_DIR = process.env.NODE_ENV === 'production' ? '/app/uploads' : pat
 
 if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
 if (!fs.existsSync(UPLOADS_DIR)) fs.mkdirSync(UPLOADS_DIR, { recursive: true });
+for (const size of Object.keys(IMAGE_SIZES)) {
+  fs.mkdirSync(path.join(UPLOADS_DIR, size), { recursive: true });
+}
 
 // Initialize database
 const db = new Database(path.join(DATA_DIR, 'contests.db'));
 db.pragma('journal_mode = WAL');
 
+// Votes are scoped to a ballot: an award category, or a division in contests that
+// vote within divisions (see getBallots). category_id is 0 when there's one ballot.
+// Kept as a function so older votes tables can be rebuilt with the current constraints.
+function votesTableSql(name) {
+  return `
+  CREATE TABLE IF NOT EXISTS ${name} (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    contest_id INTEGER NOT NULL,
+    voter_id TEXT NOT NULL,
+    entry_id INTEGER NOT NULL,
+    category_id INTEGER NOT NULL DEFAULT 0,
+    rank INTEGER NOT NULL CHECK(rank >= 1),
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (contest_id) REFERENCES contests(id) ON DELETE CASCADE,
+    FOREIGN KEY (entry_id) REFERENCES entries(id) ON DELETE CASCADE,
+    UNIQUE(contest_id, voter_id, category_id, rank),
+    UNIQUE(contest_id, voter_id, category_id, entry_id)
+  );`;
+}
+
 // Create tables
 db.exec(`
   CREATE TABLE IF NOT EXISTS contests (
@@ -34,6 +89,11 @@ db.exec(`
     submission_deadline TEXT NOT NULL,
     voting_deadline TEXT NOT NULL,
     current_phase TEXT DEFAULT 'submission' CHECK(current_phase IN ('submission', 'voting', 'results')),
+    scoring_method TEXT DEFAULT 'borda',
+    scoring_weights TEXT,
+    max_picks INTEGER DEFAULT 3,
+    voting_mode TEXT DEFAULT 'ranked',
+    current_round INTEGER,
     created_at TEXT DEFAULT CURRENT_TIMESTAMP
   );
 
@@ -42,75 +102,548 @@ db.exec(`
     contest_id INTEGER NOT NULL,
     name TEXT NOT NULL,
     image_filename TEXT NOT NULL,
+    voter_id TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (contest_id) REFERENCES contests(id) ON DELETE CASCADE,
+    UNIQUE(contest_id, name)
+  );
+
+  ${votesTableSql('votes')}
+
+  CREATE TABLE IF NOT EXISTS categories (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    contest_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0,
+    FOREIGN KEY (contest_id) REFERENCES contests(id) ON DELETE CASCADE,
+    UNIQUE(contest_id, name)
+  );
+
+  CREATE TABLE IF NOT EXISTS divisions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    contest_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0,
+    FOREIGN KEY (contest_id) REFERENCES contests(id) ON DELETE CASCADE,
+    UNIQUE(contest_id, name)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_contests_slug ON contests(slug);
+  CREATE INDEX IF NOT EXISTS idx_entries_contest ON entries(contest_id);
+  CREATE INDEX IF NOT EXISTS idx_votes_contest ON votes(contest_id);
+  CREATE INDEX IF NOT EXISTS idx_votes_entry ON votes(entry_id);
+  CREATE TABLE IF NOT EXISTS roster_members (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    contest_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    invite_code TEXT UNIQUE NOT NULL,
+    group_id INTEGER,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (contest_id) REFERENCES contests(id) ON DELETE CASCADE,
+    UNIQUE(contest_id, name)
+  );
+
+  CREATE TABLE IF NOT EXISTS voter_groups (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    contest_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    weight REAL NOT NULL DEFAULT 1,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (contest_id) REFERENCES contests(id) ON DELETE CASCADE,
+    UNIQUE(contest_id, name)
+  );
+
+  CREATE TABLE IF NOT EXISTS judging_criteria (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    contest_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    max_score INTEGER NOT NULL DEFAULT 10,
+    position INTEGER NOT NULL DEFAULT 0,
+    FOREIGN KEY (contest_id) REFERENCES contests(id) ON DELETE CASCADE,
+    UNIQUE(contest_id, name)
+  );
+
+  CREATE TABLE IF NOT EXISTS judges (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    contest_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    judge_code TEXT UNIQUE NOT NULL,
     created_at TEXT DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (contest_id) REFERENCES contests(id) ON DELETE CASCADE,
     UNIQUE(contest_id, name)
   );
 
-  CREATE TABLE IF NOT EXISTS votes (
+  CREATE TABLE IF NOT EXISTS judge_scores (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    contest_id INTEGER NOT NULL,
+    judge_id INTEGER NOT NULL,
+    entry_id INTEGER NOT NULL,
+    criterion_id INTEGER NOT NULL,
+    score INTEGER NOT NULL,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (contest_id) REFERENCES contests(id) ON DELETE CASCADE,
+    FOREIGN KEY (judge_id) REFERENCES judges(id) ON DELETE CASCADE,
+    FOREIGN KEY (entry_id) REFERENCES entries(id) ON DELETE CASCADE,
+    FOREIGN KEY (criterion_id) REFERENCES judging_criteria(id) ON DELETE CASCADE,
+    UNIQUE(judge_id, entry_id, criterion_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS pairwise_votes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    contest_id INTEGER NOT NULL,
+    voter_id TEXT NOT NULL,
+    entry_a INTEGER NOT NULL,
+    entry_b INTEGER NOT NULL,
+    winner_id INTEGER NOT NULL,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (contest_id) REFERENCES contests(id) ON DELETE CASCADE,
+    CHECK(entry_a < entry_b AND winner_id IN (entry_a, entry_b)),
+    UNIQUE(contest_id, voter_id, entry_a, entry_b)
+  );
+
+  CREATE TABLE IF NOT EXISTS bracket_rounds (
+    contest_id INTEGER NOT NULL,
+    round INTEGER NOT NULL,
+    deadline TEXT NOT NULL,
+    FOREIGN KEY (contest_id) REFERENCES contests(id) ON DELETE CASCADE,
+    PRIMARY KEY (contest_id, round)
+  );
+
+  CREATE TABLE IF NOT EXISTS bracket_matches (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    contest_id INTEGER NOT NULL,
+    round INTEGER NOT NULL,
+    position INTEGER NOT NULL,
+    entry_a INTEGER NOT NULL,
+    entry_b INTEGER,
+    seed_a INTEGER NOT NULL,
+    seed_b INTEGER,
+    winner_id INTEGER,
+    votes_a REAL NOT NULL DEFAULT 0,
+    votes_b REAL NOT NULL DEFAULT 0,
+    decided_by TEXT,
+    FOREIGN KEY (contest_id) REFERENCES contests(id) ON DELETE CASCADE,
+    UNIQUE(contest_id, round, position)
+  );
+
+  CREATE TABLE IF NOT EXISTS bracket_votes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    contest_id INTEGER NOT NULL,
+    match_id INTEGER NOT NULL,
+    voter_id TEXT NOT NULL,
+    entry_id INTEGER NOT NULL,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (contest_id) REFERENCES contests(id) ON DELETE CASCADE,
+    FOREIGN KEY (match_id) REFERENCES bracket_matches(id) ON DELETE CASCADE,
+    UNIQUE(match_id, voter_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS entry_images (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    entry_id INTEGER NOT NULL,
+    filename TEXT NOT NULL,
+    media_type TEXT NOT NULL DEFAULT 'image',
+    poster_filename TEXT,
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (entry_id) REFERENCES entries(id) ON DELETE CASCADE
+  );
+
+  CREATE TABLE IF NOT EXISTS entry_team_members (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    entry_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    voter_id TEXT,
+    position INTEGER NOT NULL DEFAULT 0,
+    FOREIGN KEY (entry_id) REFERENCES entries(id) ON DELETE CASCADE
+  );
+
+  -- Entries whose photos look like another entry's, for the admin to review
+  CREATE TABLE IF NOT EXISTS duplicate_flags (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    entry_id INTEGER NOT NULL,
+    matched_entry_id INTEGER NOT NULL,
+    distance INTEGER NOT NULL,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (entry_id) REFERENCES entries(id) ON DELETE CASCADE,
+    FOREIGN KEY (matched_entry_id) REFERENCES entries(id) ON DELETE CASCADE,
+    UNIQUE(entry_id, matched_entry_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS admin_sessions (
+    id TEXT PRIMARY KEY,
+    contest_id INTEGER NOT NULL,
+    expires_at TEXT NOT NULL,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (contest_id) REFERENCES contests(id) ON DELETE CASCADE
+  );
+
+  -- Slugs a contest used to have, so links to them still lead to it
+  CREATE TABLE IF NOT EXISTS slug_redirects (
+    slug TEXT PRIMARY KEY,
+    contest_id INTEGER NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (contest_id) REFERENCES contests(id) ON DELETE CASCADE
+  );
+
+  -- Admin logins, kept for rate limiting and so the admin can see failed tries
+  CREATE TABLE IF NOT EXISTS pin_attempts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    contest_id INTEGER NOT NULL,
+    ip TEXT NOT NULL,
+    succeeded INTEGER NOT NULL,
+    attempted_at TEXT NOT NULL,
+    FOREIGN KEY (contest_id) REFERENCES contests(id) ON DELETE CASCADE
+  );
+
+  CREATE TABLE IF NOT EXISTS guesses (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     contest_id INTEGER NOT NULL,
     voter_id TEXT NOT NULL,
+    guesser_name TEXT NOT NULL,
     entry_id INTEGER NOT NULL,
-    rank INTEGER NOT NULL CHECK(rank >= 1 AND rank <= 3),
+    guessed_name TEXT NOT NULL,
     created_at TEXT DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (contest_id) REFERENCES contests(id) ON DELETE CASCADE,
     FOREIGN KEY (entry_id) REFERENCES entries(id) ON DELETE CASCADE,
-    UNIQUE(contest_id, voter_id, rank),
     UNIQUE(contest_id, voter_id, entry_id)
   );
 
-  CREATE INDEX IF NOT EXISTS idx_contests_slug ON contests(slug);
-  CREATE INDEX IF NOT EXISTS idx_entries_contest ON entries(contest_id);
-  CREATE INDEX IF NOT EXISTS idx_votes_contest ON votes(contest_id);
-  CREATE INDEX IF NOT EXISTS idx_votes_entry ON votes(entry_id);
+  CREATE INDEX IF NOT EXISTS idx_categories_contest ON categories(contest_id);
+  CREATE INDEX IF NOT EXISTS idx_divisions_contest ON divisions(contest_id);
+  CREATE INDEX IF NOT EXISTS idx_roster_contest ON roster_members(contest_id);
+  CREATE INDEX IF NOT EXISTS idx_voter_groups_contest ON voter_groups(contest_id);
+  CREATE INDEX IF NOT EXISTS idx_criteria_contest ON judging_criteria(contest_id);
+  CREATE INDEX IF NOT EXISTS idx_judges_contest ON judges(contest_id);
+  CREATE INDEX IF NOT EXISTS idx_judge_scores_contest ON judge_scores(contest_id);
+  CREATE INDEX IF NOT EXISTS idx_pairwise_votes_contest ON pairwise_votes(contest_id);
+  CREATE INDEX IF NOT EXISTS idx_bracket_matches_contest ON bracket_matches(contest_id);
+  CREATE INDEX IF NOT EXISTS idx_bracket_votes_match ON bracket_votes(match_id);
+  CREATE INDEX IF NOT EXISTS idx_guesses_contest ON guesses(contest_id);
+  CREATE INDEX IF NOT EXISTS idx_entry_images_entry ON entry_images(entry_id);
+  CREATE INDEX IF NOT EXISTS idx_entry_team_entry ON entry_team_members(entry_id);
+  CREATE INDEX IF NOT EXISTS idx_duplicate_flags_entry ON duplicate_flags(entry_id);
+  CREATE INDEX IF NOT EXISTS idx_pin_attempts_contest ON pin_attempts(contest_id, attempted_at);
+  CREATE INDEX IF NOT EXISTS idx_pin_attempts_ip ON pin_attempts(ip, attempted_at);
+`);
+
+// Add columns introduced after the initial schema to existing databases
+function ensureColumn(table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some(c => c.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+ensureColumn('contests', 'scoring_method', "TEXT DEFAULT 'borda'");
+ensureColumn('contests', 'scoring_weights', 'TEXT');
+ensureColumn('contests', 'max_picks', 'INTEGER DEFAULT 3');
+ensureColumn('contests', 'voting_mode', "TEXT DEFAULT 'ranked'");
+ensureColumn('contests', 'current_round', 'INTEGER');
+ensureColumn('entries', 'voter_id', 'TEXT');
+ensureColumn('roster_members', 'group_id', 'INTEGER');
+ensureColumn('contests', 'video_max_seconds', 'INTEGER');
+ensureColumn('contests', 'video_max_mb', 'INTEGER');
+ensureColumn('entry_images', 'media_type', "TEXT NOT NULL DEFAULT 'image'");
+ensureColumn('entry_images', 'poster_filename', 'TEXT');
+ensureColumn('entry_images', 'metadata_stripped', 'INTEGER NOT NULL DEFAULT 0');
+ensureColumn('entries', 'edit_token_hash', 'TEXT');
+ensureColumn('entries', 'title', 'TEXT');
+ensureColumn('entries', 'maker_note', 'TEXT');
+ensureColumn('entries', 'division_id', 'INTEGER');
+ensureColumn('contests', 'division_voting', "TEXT DEFAULT 'overall'");
+ensureColumn('entry_images', 'phash', 'TEXT');
+ensureColumn('contests', 'duplicate_photos', "TEXT DEFAULT 'flag'");
+ensureColumn('contests', 'check_past_contests', 'INTEGER NOT NULL DEFAULT 0');
+// Hashed like the PIN. Contests from before recovery codes get one when their PIN is next changed.
+ensureColumn('contests', 'recovery_code_hash', 'TEXT');
+ensureColumn('entries', 'handle', 'TEXT');
+ensureColumn('entry_images', 'alias', 'TEXT');
+ensureColumn('entry_images', 'poster_alias', 'TEXT');
+
+// Entries and uploads from before anonymous handles get theirs now
+for (const { id } of db.prepare('SELECT id FROM entries WHERE handle IS NULL').all()) {
+  db.prepare('UPDATE entries SET handle = ? WHERE id = ?').run(nanoid(12), id);
+}
+for (const { id, poster_filename } of db.prepare('SELECT id, poster_filename FROM entry_images WHERE alias IS NULL').all()) {
+  db.prepare('UPDATE entry_images SET alias = ?, poster_alias = ? WHERE id = ?').run(nanoid(21), poster_filename && nanoid(21), id);
+}
+
+// Entries from before multi-photo support have just their cover image
+db.exec(`
+  INSERT INTO entry_images (entry_id, filename, position)
+  SELECT e.id, e.image_filename, 0 FROM entries e
+  WHERE NOT EXISTS (SELECT 1 FROM entry_images i WHERE i.entry_id = e.id)
 `);
 
+// SQLite can't change constraints in place, so votes tables from older versions
+// (ranks capped at 3, no categories) are rebuilt with the current schema
+const votesSchema = db.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'votes'").get();
+if (!votesSchema.sql.includes('category_id')) {
+  const columns = db.prepare('PRAGMA table_info(votes)').all().map(c => c.name).join(', ');
+  db.transaction(() => {
+    db.exec(`
+      ${votesTableSql('votes_new')}
+      INSERT INTO votes_new (${columns}) SELECT ${columns} FROM votes;
+      DROP TABLE votes;
+      ALTER TABLE votes_new RENAME TO votes;
+      CREATE INDEX IF NOT EXISTS idx_votes_contest ON votes(contest_id);
+      CREATE INDEX IF NOT EXISTS idx_votes_entry ON votes(entry_id);
+    `);
+  })();
+}
+
+// Behind a reverse proxy, TRUST_PROXY lets req.ip be the visitor's address
+// (from X-Forwarded-For) rather than the proxy's: a hop count, "true", or the
+// proxy's addresses as Express accepts them
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' || trustProxy);
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json());
 app.use('/uploads', express.static(UPLOADS_DIR));
 
+// Voters see uploads under random aliases (see anonymousEntry). Aliases have no
+// extension, so they never clash with stored filenames. The file's dates are
+// left out of the response headers, since they would give the upload order away.
+app.get(['/uploads/:alias', '/uploads/:size(thumb|medium)/:alias'], (req, res, next) => {
+  const item = db.prepare(`
+    SELECT filename FROM entry_images WHERE alias = ?
+    UNION ALL
+    SELECT poster_filename FROM entry_images WHERE poster_alias = ?
+  `).get(req.params.alias, req.params.alias);
+  if (!item) return next();
+  
+  // Photos uploaded before smaller sizes were made only exist at full size
+  const options = { root: UPLOADS_DIR, lastModified: false, etag: false };
+  const sendFullSize = () => res.sendFile(item.filename, options, (err) => {
+    if (err && !res.headersSent) res.status(404).end();
+  });
+  if (!req.params.size) return sendFullSize();
+  res.sendFile(path.join(req.params.size, item.filename), options, (err) => {
+    if (!err || res.headersSent) return;
+    if (err.code === 'ENOENT') return sendFullSize();
+    res.status(404).end();
+  });
+});
+
+// Photos uploaded before smaller sizes were made only exist at full size
+app.get('/uploads/:size(thumb|medium)/:filename', (req, res) => {
+  res.sendFile(req.params.filename, { root: UPLOADS_DIR }, (err) => {
+    if (err) res.status(404).end();
+  });
+});
+
 // Serve static frontend in production
 if (process.env.NODE_ENV === 'production') {
   app.use(express.static(path.join(__dirname, 'public')));
 }
 
-// File upload configuration
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => cb(null, UPLOADS_DIR),
-  filename: (req, file, cb) => {
+// File upload configuration. Photos and clips have their own size limits, so
+// they're enforced here as each file is written, rather than by multer's single
+// fileSize limit: an oversized file is abandoned and removed as soon as it
+// passes its limit. A contest's lower video limit is checked once it's uploaded.
+const storage = {
+  _handleFile(req, file, cb) {
     const ext = path.extname(file.originalname).toLowerCase();
     const filename = `${nanoid(12)}${ext}`;
-    cb(null, filename);
+    const filePath = path.join(UPLOADS_DIR, filename);
+    const limit = VIDEO_TYPES.includes(file.mimetype) ? MAX_VIDEO_SIZE : MAX_FILE_SIZE;
+    const out = fs.createWriteStream(filePath);
+    let size = 0;
+    let finished = false;
+    const finish = (error, info) => {
+      if (finished) return;
+      finished = true;
+      if (!error) return cb(null, info);
+      file.stream.unpipe(out);
+      file.stream.resume();
+      out.destroy();
+      fs.rm(filePath, { force: true }, () => cb(error));
+    };
+    
+    file.stream.on('data', chunk => {
+      size += chunk.length;
+      if (size > limit) finish(new multer.MulterError('LIMIT_FILE_SIZE', file.fieldname));
+    });
+    file.stream.on('error', finish);
+    out.on('error', finish);
+    out.on('finish', () => finish(null, { destination: UPLOADS_DIR, filename, path: filePath, size }));
+    file.stream.pipe(out);
+  },
+  _removeFile(req, file, cb) {
+    fs.rm(file.path, { force: true }, cb);
   }
-});
+};
 
 const upload = multer({
   storage,
-  limits: { fileSize: MAX_FILE_SIZE },
   fileFilter: (req, file, cb) => {
-    const allowedTypes = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/heic', 'image/heif'];
-    if (allowedTypes.includes(file.mimetype)) {
+    if (IMAGE_TYPES.includes(file.mimetype) || VIDEO_TYPES.includes(file.mimetype)) {
       cb(null, true);
     } else {
-      cb(new Error('Only image files are allowed (JPEG, PNG, GIF, WebP, HEIC)'));
+      cb(new Error('Only image files (JPEG, PNG, GIF, WebP, HEIC) and video clips (MP4, WebM, MOV) are allowed'));
     }
   }
 });
 
 // Helper functions
-function hashPin(pin) {
-  return crypto.createHash('sha256').update(pin).digest('hex');
+
+// Check a contest's admin PIN, upgrading an old-style SHA-256 hash when it matches
+function checkAdminPin(contest, pin) {
+  if (!pin || !pinMatches(pin, contest.admin_pin_hash)) return false;
+  if (!contest.admin_pin_hash.startsWith('scrypt$')) {
+    db.prepare('UPDATE contests SET admin_pin_hash = ? WHERE id = ?').run(hashPin(pin), contest.id);
+  }
+  return true;
+}
+
+// Seconds an address must wait before trying a contest's PIN again, or 0. Only
+// failures since the window opened, and since the last successful login, count.
+// Addresses that have logged in to the contest before (within the retention
+// period) skip the contest-wide lockout, so someone hammering the login can't
+// keep the organizer out; their own per-address limits still apply.
+function getPinLockout(contest, ip) {
+  const now = Date.now();
+  const windowStart = new Date(now - PIN_ATTEMPT_WINDOW_MINUTES * 60 * 1000).toISOString();
+  const failuresSince = (scope, value) => {
+    const lastSuccess = db.prepare(`SELECT MAX(attempted_at) as at FROM pin_attempts WHERE ${scope} = ? AND succeeded = 1`).get(value).at;
+    const since = lastSuccess && lastSuccess > windowStart ? lastSuccess : windowStart;
+    return db.prepare(`SELECT attempted_at FROM pin_attempts WHERE ${scope} = ? AND succeeded = 0 AND attempted_at > ? ORDER BY attempted_at DESC`)
+      .all(value, since).map(a => new Date(a.attempted_at).getTime());
+  };
+  const waitUntil = time => Math.max(0, Math.ceil((time - now) / 1000));
+  
+  const windowMs = PIN_ATTEMPT_WINDOW_MINUTES * 60 * 1000;
+  const contestFailures = failuresSince('contest_id', contest.id);
+  const knownAddress = db.prepare('SELECT 1 FROM pin_attempts WHERE contest_id = ? AND ip = ? AND succeeded = 1').get(contest.id, ip);
+  if (!knownAddress && contestFailures.length >= MAX_PIN_FAILURES_PER_CONTEST) {
+    return waitUntil(contestFailures[0] + windowMs);
+  }
+  const ipFailures = failuresSince('ip', ip);
+  if (ipFailures.length >= MAX_PIN_FAILURES_PER_IP) {
+    return waitUntil(ipFailures[0] + windowMs);
+  }
+  if (ipFailures.length > 0) {
+    const backoff = Math.min(2 ** (ipFailures.length - 1), MAX_PIN_BACKOFF_SECONDS);
+    return waitUntil(ipFailures[0] + backoff * 1000);
+  }
+  return 0;
+}
+
+function recordPinAttempt(contest, ip, succeeded) {
+  const now = new Date();
+  const cutoff = new Date(now.getTime() - PIN_ATTEMPT_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  db.prepare('DELETE FROM pin_attempts WHERE attempted_at < ?').run(cutoff);
+  db.prepare('INSERT INTO pin_attempts (contest_id, ip, succeeded, attempted_at) VALUES (?, ?, ?, ?)')
+    .run(contest.id, ip, succeeded ? 1 : 0, now.toISOString());
 }
 
-function generateUniqueSlug(name) {
+function describeWait(seconds) {
+  return seconds < 60 ? `${seconds} second${seconds === 1 ? '' : 's'}` : `${Math.ceil(seconds / 60)} minutes`;
+}
+
+// Sends the 429 and returns true when this address is locked out of the contest's PIN
+function rejectIfLockedOut(contest, req, res) {
+  const wait = getPinLockout(contest, req.ip);
+  if (wait === 0) return false;
+  res.set('Retry-After', String(wait));
+  res.status(429).json({ error: `Too many wrong PINs. Try again in ${describeWait(wait)}` });
+  return true;
+}
+
+// Give a contest a new PIN and a fresh recovery code (the old code stops
+// working). Returns the code, which is only ever shown this once.
+function setAdminPin(contest, pin) {
+  const recoveryCode = generateRecoveryCode();
+  db.prepare('UPDATE contests SET admin_pin_hash = ?, recovery_code_hash = ? WHERE id = ?')
+    .run(hashPin(pin), hashRecoveryCode(recoveryCode), contest.id);
+  return recoveryCode;
+}
+
+// Admin session tokens are "<session id>.<signature>", signed with a secret from
+// SESSION_SECRET or, failing that, one generated once and kept in the data
+// directory so sessions survive restarts. Sessions are stored too, so logging
+// out ends one before it expires.
+function loadSessionSecret() {
+  if (process.env.SESSION_SECRET) return process.env.SESSION_SECRET;
+  const secretPath = path.join(DATA_DIR, 'session-secret');
+  if (!fs.existsSync(secretPath)) {
+    fs.writeFileSync(secretPath, crypto.randomBytes(32).toString('hex'), { mode: 0o600 });
+  }
+  return fs.readFileSync(secretPath, 'utf8').trim();
+}
+
+const SESSION_SECRET = loadSessionSecret();
+
+function signSession(sessionId) {
+  return crypto.createHmac('sha256', SESSION_SECRET).update(sessionId).digest('base64url');
+}
+
+function createAdminSession(contest) {
+  const now = new Date();
+  const sessionId = nanoid(24);
+  const expiresAt = new Date(now.getTime() + ADMIN_SESSION_HOURS * 60 * 60 * 1000).toISOString();
+  db.prepare('DELETE FROM admin_sessions WHERE expires_at <= ?').run(now.toISOString());
+  db.prepare('INSERT INTO admin_sessions (id, contest_id, expires_at) VALUES (?, ?, ?)').run(sessionId, contest.id, expiresAt);
+  return { token: `${sessionId}.${signSession(sessionId)}`, expiresAt };
+}
+
+function getAdminSession(contest, token) {
+  const [sessionId, signature] = String(token || '').split('.');
+  if (!sessionId || !signature) return null;
+  const expected = Buffer.from(signSession(sessionId));
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), expected)) {
+    return null;
+  }
+  const session = db.prepare('SELECT * FROM admin_sessions WHERE id = ? AND contest_id = ?').get(sessionId, contest.id);
+  if (!session || new Date(session.expires_at) <= new Date()) return null;
+  return session;
+}
+
+// Middleware for the admin routes: sets req.contest and req.adminSession from the
+// "Authorization: Bearer <token>" header, or answers 404/401
+function requireAdmin(req, res, next) {
+  try {
+    const contest = db.prepare('SELECT * FROM contests WHERE slug = ?').get(req.params.slug);
+    if (!contest) {
+      return res.status(404).json({ error: 'Contest not found' });
+    }
+    
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    if (scheme !== 'Bearer' || !token) {
+      return res.status(401).json({ error: 'Please log in with the admin PIN' });
+    }
+    const session = getAdminSession(contest, token);
+    if (!session) {
+      return res.status(401).json({ error: 'Your admin session has ended. Please log in again' });
+    }
+    
+    req.contest = contest;
+    req.adminSession = session;
+    next();
+  } catch (error) {
+    console.error('Error checking admin session:', error);
+    res.status(500).json({ error: 'Failed to check admin session' });
+  }
+}
+
+// Old slugs kept as redirects are taken too, except a contest's own: given its
+// id, a renamed contest can have its current slug or an earlier one back.
+function generateUniqueSlug(name, contestId = null) {
   const baseSlug = slugify(name, { lower: true, strict: true });
-  const existing = db.prepare('SELECT slug FROM contests WHERE slug LIKE ?').all(`${baseSlug}%`);
+  const existing = [
+    ...db.prepare('SELECT slug FROM contests WHERE slug LIKE ? AND id IS NOT ?').all(`${baseSlug}%`, contestId),
+    ...db.prepare('SELECT slug FROM slug_redirects WHERE slug LIKE ? AND contest_id IS NOT ?').all(`${baseSlug}%`, contestId)
+  ];
   
   if (existing.length === 0) return baseSlug;
   
   const existingSlugs = new Set(existing.map(r => r.slug));
+  if (!existingSlugs.has(baseSlug)) return baseSlug;
   let counter = 1;
   let newSlug = `${baseSlug}-${counter}`;
   while (existingSlugs.has(newSlug)) {
@@ -139,428 +672,2425 @@ function updateContestPhase(contest) {
     contest.current_phase = newPhase;
   }
   
+  if (contest.voting_mode === 'bracket') {
+    advanceBracket(contest);
+  }
+  
   return contest;
 }
 
+// Bracket contests run their voting phase as a series of rounds, tracked in
+// current_round (one past the final once a champion is crowned). The bracket
+// is drawn when voting opens, each round closes once its deadline passes, and
+// every remaining round closes as soon as the contest reaches results.
+function advanceBracket(contest) {
+  if (contest.current_phase === 'submission') return;
+  
+  if (contest.current_round === null) {
+    drawBracket(contest);
+  }
+  
+  const now = new Date();
+  let round;
+  while ((round = db.prepare('SELECT * FROM bracket_rounds WHERE contest_id = ? AND round = ?').get(contest.id, contest.current_round))) {
+    if (contest.current_phase !== 'results' && new Date(round.deadline) > now) break;
+    closeBracketRound(contest);
+  }
+  
+  // A finished bracket goes straight to results, even ahead of the voting deadline
+  if (!round && contest.current_phase === 'voting') {
+    db.prepare("UPDATE contests SET current_phase = 'results' WHERE id = ?").run(contest.id);
+    contest.current_phase = 'results';
+  }
+}
+
+function drawBracket(contest) {
+  const entryIds = db.prepare('SELECT id FROM entries WHERE contest_id = ?').all(contest.id).map(e => e.id);
+  const totalRounds = roundCount(entryIds.length);
+  const insertMatch = db.prepare(`
+    INSERT INTO bracket_matches (contest_id, round, position, entry_a, entry_b, seed_a, seed_b, winner_id, decided_by)
+    VALUES (?, 1, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  
+  db.transaction(() => {
+    for (const match of totalRounds > 0 ? drawFirstRound(entryIds) : []) {
+      // Byes advance straight away
+      const bye = match.entryB === null;
+      insertMatch.run(contest.id, match.position, match.entryA, match.entryB, match.seedA, match.seedB, bye ? match.entryA : null, bye ? 'bye' : null);
+    }
+    scheduleBracketRounds(contest, 1, totalRounds);
+    db.prepare('UPDATE contests SET current_round = 1 WHERE id = ?').run(contest.id);
+  })();
+  contest.current_round = 1;
+}
+
+// Split the time left before the voting deadline evenly between the rounds still to play
+function scheduleBracketRounds(contest, fromRound, totalRounds) {
+  const start = Date.now();
+  const end = Math.max(start, new Date(contest.voting_deadline).getTime());
+  const roundsLeft = totalRounds - fromRound + 1;
+  const upsertRound = db.prepare(`
+    INSERT INTO bracket_rounds (contest_id, round, deadline) VALUES (?, ?, ?)
+    ON CONFLICT(contest_id, round) DO UPDATE SET deadline = excluded.deadline
+  `);
+  for (let round = fromRound; round <= totalRounds; round++) {
+    const deadline = new Date(start + ((end - start) * (round - fromRound + 1)) / roundsLeft);
+    upsertRound.run(contest.id, round, deadline.toISOString());
+  }
+}
+
+// Tally the current round's matches, then pair the winners into the next round
+function closeBracketRound(contest) {
+  const round = contest.current_round;
+  const matches = db.prepare('SELECT * FROM bracket_matches WHERE contest_id = ? AND round = ? ORDER BY position').all(contest.id, round);
+  // Roster members in a voting group carry its weight; everyone else counts once
+  const tallyVotes = db.prepare(`
+    SELECT v.entry_id, SUM(COALESCE(g.weight, 1)) as votes
+    FROM bracket_votes v
+    LEFT JOIN roster_members m ON m.contest_id = v.contest_id AND v.voter_id = 'member_' || m.id
+    LEFT JOIN voter_groups g ON g.id = m.group_id
+    WHERE v.match_id = ?
+    GROUP BY v.entry_id
+  `);
+  const saveResult = db.prepare('UPDATE bracket_matches SET winner_id = ?, votes_a = ?, votes_b = ?, decided_by = ? WHERE id = ?');
+  
+  db.transaction(() => {
+    for (const match of matches) {
+      if (match.winner_id !== null) continue;
+      const tally = new Map(tallyVotes.all(match.id).map(t => [t.entry_id, t.votes]));
+      const votesA = tally.get(match.entry_a) || 0;
+      const votesB = tally.get(match.entry_b) || 0;
+      const { winnerId, decidedBy } = decideMatch(match, votesA, votesB);
+      saveResult.run(winnerId, votesA, votesB, decidedBy, match.id);
+      match.winner_id = winnerId;
+    }
+    
+    if (matches.length > 1) {
+      const insertMatch = db.prepare(`
+        INSERT INTO bracket_matches (contest_id, round, position, entry_a, entry_b, seed_a, seed_b)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `);
+      for (const match of pairWinners(matches)) {
+        insertMatch.run(contest.id, round + 1, match.position, match.entryA, match.entryB, match.seedA, match.seedB);
+      }
+    }
+    db.prepare('UPDATE contests SET current_round = ? WHERE id = ?').run(round + 1, contest.id);
+  })();
+  contest.current_round = round + 1;
+}
+
+// The bracket as clients see it. Until results are out, entries are anonymous
+// and known by their handles; names come with the results. Vote counts are
+// only included for matches that have closed.
+function getBracketView(contest, voterId) {
+  const rounds = db.prepare('SELECT round, deadline FROM bracket_rounds WHERE contest_id = ? ORDER BY round').all(contest.id);
+  const matches = db.prepare('SELECT * FROM bracket_matches WHERE contest_id = ? ORDER BY round, position').all(contest.id);
+  const showNames = contest.current_phase === 'results';
+  const entries = new Map(withTeam(contest.id, withMedia(contest.id, db.prepare('SELECT * FROM entries WHERE contest_id = ?').all(contest.id), !showNames)).map(e => [e.id, e]));
+  const ownEntryIds = getOwnEntryIds(contest.id, voterId);
+  const publicId = entryId => (showNames || !entries.has(entryId) ? entryId : entries.get(entryId).handle);
+  const picks = voterId
+    ? db.prepare('SELECT match_id, entry_id FROM bracket_votes WHERE contest_id = ? AND voter_id = ?').all(contest.id, voterId)
+    : [];
+  
+  function toEntry(entryId, seed) {
+    const entry = entries.get(entryId);
+    if (!entry) return null;
+    if (!showNames) return { ...anonymousEntry(entry, ownEntryIds), seed };
+    return {
+      id: entry.id,
+      seed,
+      image_filename: entry.image_filename,
+      media: entry.media,
+      title: entry.title,
+      isOwn: ownEntryIds.has(entry.id),
+      name: entry.name,
+      team: entry.team,
+      maker_note: entry.maker_note
+    };
+  }
+  
+  return {
+    currentRound: contest.current_round,
+    totalRounds: rounds.length,
+    rounds: rounds.map(r => ({
+      round: r.round,
+      deadline: r.deadline,
+      matches: matches.filter(m => m.round === r.round).map(m => ({
+        id: m.id,
+        position: m.position,
+        entryA: toEntry(m.entry_a, m.seed_a),
+        entryB: toEntry(m.entry_b, m.seed_b),
+        winnerId: m.winner_id === null ? null : publicId(m.winner_id),
+        decidedBy: m.decided_by,
+        votesA: m.decided_by === 'bye' || m.winner_id === null ? null : m.votes_a,
+        votesB: m.decided_by === 'bye' || m.winner_id === null ? null : m.votes_b
+      }))
+    })),
+    myPicks: Object.fromEntries(picks.map(p => [p.match_id, publicId(p.entry_id)]))
+  };
+}
+
+// Throw the bracket away, e.g. when an admin reopens submissions
+function resetBracket(contest) {
+  db.transaction(() => {
+    db.prepare('DELETE FROM bracket_votes WHERE contest_id = ?').run(contest.id);
+    db.prepare('DELETE FROM bracket_matches WHERE contest_id = ?').run(contest.id);
+    db.prepare('DELETE FROM bracket_rounds WHERE contest_id = ?').run(contest.id);
+    db.prepare('UPDATE contests SET current_round = NULL WHERE id = ?').run(contest.id);
+  })();
+  contest.current_round = null;
+}
+
 function getContestWithPhase(slug) {
   const contest = db.prepare('SELECT * FROM contests WHERE slug = ?').get(slug);
   if (!contest) return null;
   return updateContestPhase(contest);
 }
 
-// API Routes
+// Entries remember their submitter's voter ID so self-votes can be blocked, and
+// a hash of their edit token. Neither may be sent to clients: the voter ID would
+// link entries to voters, and the hash belongs to the submitter alone.
+function publicEntry({ voter_id, edit_token_hash, ...entry }) {
+  return entry;
+}
 
-// Health check
-app.get('/api/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
-});
+// Entries keep a still of their cover in image_filename (a video cover's poster
+// frame); this adds every photo and clip as media, cover first. Anonymous media
+// link to the files' aliases instead of their filenames.
+function withMedia(contestId, entries, anonymous = false) {
+  const media = db.prepare(`
+    SELECT i.entry_id, i.filename, i.media_type, i.poster_filename, i.alias, i.poster_alias FROM entry_images i
+    JOIN entries e ON e.id = i.entry_id
+    WHERE e.contest_id = ?
+    ORDER BY i.position
+  `).all(contestId);
+  return entries.map(entry => ({
+    ...entry,
+    media: media
+      .filter(m => m.entry_id === entry.id)
+      .map(m => anonymous
+        ? { type: m.media_type, filename: m.alias, poster: m.poster_alias }
+        : { type: m.media_type, filename: m.filename, poster: m.poster_filename })
+  }));
+}
 
-// Get server timezone
-app.get('/api/timezone', (req, res) => {
-  res.json({ timezone: process.env.TZ || 'UTC' });
-});
+// An entry as voters see it while voting is open: known only by its random
+// handle, with its media under aliases and nothing that follows the order
+// entries came in (IDs, timestamps, filenames). Takes an entry from withMedia
+// with anonymous set; clients send the handle back as the entry's ID.
+function anonymousEntry(entry, ownEntryIds) {
+  const cover = entry.media[0];
+  return {
+    id: entry.handle,
+    title: entry.title,
+    division_id: entry.division_id,
+    image_filename: cover && (cover.poster || cover.filename),
+    media: entry.media,
+    isOwn: ownEntryIds.has(entry.id)
+  };
+}
 
-// List all contests
-app.get('/api/contests', (req, res) => {
-  try {
-    const contests = db.prepare(`
-      SELECT c.*, COUNT(e.id) as entry_count
-      FROM contests c
-      LEFT JOIN entries e ON c.id = e.contest_id
-      GROUP BY c.id
-      ORDER BY c.created_at DESC
-    `).all();
-    
-    // Update phases for all contests
-    const updatedContests = contests.map(c => {
-      const updated = updateContestPhase(c);
-      // Don't send admin pin hash to client
-      delete updated.admin_pin_hash;
-      return updated;
-    });
+// A contest's entries by handle, for turning the IDs voters send back into entries
+function getEntriesByHandle(contestId) {
+  return new Map(db.prepare('SELECT * FROM entries WHERE contest_id = ?').all(contestId).map(e => [e.handle, e]));
+}
+
+// Entries made by a team list their co-creators in team, in the order given
+function withTeam(contestId, entries) {
+  const members = db.prepare(`
+    SELECT t.entry_id, t.name FROM entry_team_members t
+    JOIN entries e ON e.id = t.entry_id
+    WHERE e.contest_id = ?
+    ORDER BY t.position
+  `).all(contestId);
+  return entries.map(entry => ({
+    ...entry,
+    team: members.filter(m => m.entry_id === entry.id).map(m => m.name)
+  }));
+}
+
+// IDs of the entries a voter made, whether they submitted it or are on its team
+function getOwnEntryIds(contestId, voterId) {
+  if (!voterId) return new Set();
+  return new Set(db.prepare(`
+    SELECT id FROM entries WHERE contest_id = ? AND voter_id = ?
+    UNION
+    SELECT t.entry_id FROM entry_team_members t
+    JOIN entries e ON e.id = t.entry_id
+    WHERE e.contest_id = ? AND t.voter_id = ?
+  `).all(contestId, voterId, contestId, voterId).map(row => row.id));
+}
+
+// Every stored copy of an upload: the file itself and its smaller sizes
+function uploadPaths(filename) {
+  return [
+    path.join(UPLOADS_DIR, filename),
+    ...Object.keys(IMAGE_SIZES).map(size => path.join(UPLOADS_DIR, size, filename))
+  ];
+}
+
+// Delete uploads with all their sizes; files already gone are skipped quietly
+function removeFiles(filenames) {
+  for (const filename of filenames) {
+    for (const filePath of uploadPaths(filename)) {
+      try {
+        fs.unlinkSync(filePath);
+      } catch (e) {
+        if (e.code !== 'ENOENT') console.warn('Could not delete uploaded file:', e.message);
+      }
+    }
+  }
+}
+
+// Check and convert a submission's uploaded files in place: photos are processed,
+// clips checked against the contest's limits and given a poster (added to
+// posters, so the caller can clean them up). Each file gets the perceptual hash
+// of its still. Returns [status, error] when the files can't be accepted, or null.
+async function prepareUploads(contest, files, posters) {
+  for (const file of files) {
+    if (!isVideo(file)) {
+      try {
+        file.filename = await processImage(UPLOADS_DIR, file.filename, file.mimetype);
+        file.phash = await perceptualHash(path.join(UPLOADS_DIR, file.filename));
+      } catch (error) {
+        console.error('Could not process photo:', error.message);
+        return [400, "That photo couldn't be read. Try a JPEG, PNG, WebP, GIF or HEIC image"];
+      }
+      continue;
+    }
+    
+    if (contest.video_max_seconds === null) {
+      return [400, 'This contest only accepts photos'];
+    }
+    if (file.size > contest.video_max_mb * 1024 * 1024) {
+      return [400, `Video too large. Maximum size is ${contest.video_max_mb}MB`];
+    }
+    
+    let duration;
+    try {
+      duration = await getVideoDuration(file.path);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        console.error('Video upload rejected: ffprobe is not installed');
+        return [500, "Video entries aren't available on this server"];
+      }
+      return [400, "That video couldn't be read. Try an MP4, WebM or MOV clip"];
+    }
+    if (duration > contest.video_max_seconds) {
+      return [400, `Videos can be at most ${contest.video_max_seconds} seconds long`];
+    }
+    
+    await stripVideoMetadata(file.path);
+    const poster = { filename: `${nanoid(12)}.jpg` };
+    await createPoster(file.path, path.join(UPLOADS_DIR, poster.filename), duration);
+    posters.push(poster);
+    poster.filename = await processImage(UPLOADS_DIR, poster.filename, 'image/jpeg');
+    file.poster = poster.filename;
+    file.phash = await perceptualHash(path.join(UPLOADS_DIR, poster.filename));
+  }
+  return null;
+}
+
+// Store an entry's media records, cover first, and point the entry at the cover's still
+function saveEntryMedia(entryId, files, coverIndex) {
+  // The cover goes first; the other files keep their upload order
+  const ordered = [files[coverIndex], ...files.filter((_, index) => index !== coverIndex)];
+  db.prepare('UPDATE entries SET image_filename = ? WHERE id = ?').run(ordered[0].poster || ordered[0].filename, entryId);
+  
+  const insertMedia = db.prepare(`
+    INSERT INTO entry_images (entry_id, filename, media_type, poster_filename, position, metadata_stripped, phash, alias, poster_alias)
+    VALUES (?, ?, ?, ?, ?, 1, ?, ?, ?)
+  `);
+  ordered.forEach((file, index) => {
+    insertMedia.run(entryId, file.filename, isVideo(file) ? 'video' : 'image', file.poster || null, index, file.phash || null,
+      nanoid(21), file.poster ? nanoid(21) : null);
+  });
+}
+
+// Entries with photos that look like the new files (hashed by prepareUploads):
+// other entries in this contest, and entries in older contests when the contest
+// checks those too. Returns the closest match with each entry.
+function findDuplicates(contest, files, entryId = null) {
+  const stored = db.prepare(`
+    SELECT i.entry_id, i.phash, e.contest_id FROM entry_images i
+    JOIN entries e ON e.id = i.entry_id
+    WHERE i.phash IS NOT NULL AND e.id IS NOT ?
+      AND (e.contest_id = ? OR (? AND e.contest_id < ?))
+  `).all(entryId, contest.id, contest.check_past_contests, contest.id);
+  
+  const matches = new Map();
+  for (const file of files.filter(f => f.phash)) {
+    for (const image of stored) {
+      const distance = hashDistance(file.phash, image.phash);
+      if (distance <= DUPLICATE_DISTANCE && !(matches.get(image.entry_id)?.distance <= distance)) {
+        matches.set(image.entry_id, { entryId: image.entry_id, contestId: image.contest_id, distance });
+      }
+    }
+  }
+  return [...matches.values()];
+}
+
+// Replace an entry's duplicate flags with the matches from findDuplicates
+function saveDuplicateFlags(entryId, matches) {
+  db.prepare('DELETE FROM duplicate_flags WHERE entry_id = ?').run(entryId);
+  const insertFlag = db.prepare('INSERT INTO duplicate_flags (entry_id, matched_entry_id, distance) VALUES (?, ?, ?)');
+  for (const match of matches) {
+    insertFlag.run(entryId, match.entryId, match.distance);
+  }
+}
+
+// Adds duplicateFlags to each entry: the entries its photos look like. Matches in
+// other contests only say so; anything more (the maker's name, or even which
+// contest) would let one contest's admin unmask entries in someone else's.
+function withDuplicateFlags(contestId, entries) {
+  const flags = db.prepare(`
+    SELECT f.entry_id, f.matched_entry_id, f.distance, m.name, m.title, m.contest_id
+    FROM duplicate_flags f
+    JOIN entries e ON e.id = f.entry_id
+    JOIN entries m ON m.id = f.matched_entry_id
+    WHERE e.contest_id = ?
+    ORDER BY f.distance
+  `).all(contestId);
+  return entries.map(entry => ({
+    ...entry,
+    duplicateFlags: flags
+      .filter(f => f.entry_id === entry.id)
+      .map(f => (f.contest_id === contestId
+        ? { entryId: f.matched_entry_id, name: f.name, title: f.title, distance: f.distance, otherContest: false }
+        : { entryId: null, name: null, title: null, distance: f.distance, otherContest: true }))
+  }));
+}
+
+// Optional entry title and maker's note from a submission; blank means none
+const MAX_TITLE_LENGTH = 80;
+const MAX_NOTE_LENGTH = 1000;
+
+function parseEntryText(body) {
+  const title = String(body.title || '').trim();
+  const makerNote = String(body.makerNote || '').trim();
+  if (title.length > MAX_TITLE_LENGTH) {
+    return { error: `Titles can be at most ${MAX_TITLE_LENGTH} characters` };
+  }
+  if (makerNote.length > MAX_NOTE_LENGTH) {
+    return { error: `Maker's notes can be at most ${MAX_NOTE_LENGTH} characters` };
+  }
+  return { title: title || null, makerNote: makerNote || null };
+}
+
+// Co-creators for a team entry, sent as a JSON list of names (form fields are
+// strings). In roster contests each must be on the roster, so their votes can be
+// kept off the entry like the submitter's. Returns { team: [{ name, voterId }] }
+// or { error }.
+const MAX_TEAM_MEMBERS = 8;
+
+function parseTeam(contest, value, submitterName) {
+  let names;
+  try {
+    names = typeof value === 'string' ? JSON.parse(value) : (value || []);
+  } catch {
+    names = null;
+  }
+  if (!Array.isArray(names)) {
+    return { error: 'Invalid team members' };
+  }
+  
+  const team = [];
+  const seen = new Set([submitterName.trim().toLowerCase()]);
+  for (const raw of names) {
+    let name = String(raw || '').trim();
+    if (!name || seen.has(name.toLowerCase())) continue;
+    seen.add(name.toLowerCase());
+    
+    let voterId = null;
+    if (hasRoster(contest.id)) {
+      const member = db.prepare('SELECT id, name FROM roster_members WHERE contest_id = ? AND LOWER(name) = LOWER(?)').get(contest.id, name);
+      if (!member) {
+        return { error: `${name} isn't on this contest's roster` };
+      }
+      name = member.name;
+      voterId = `member_${member.id}`;
+    }
+    team.push({ name, voterId });
+  }
+  
+  if (team.length > MAX_TEAM_MEMBERS) {
+    return { error: `An entry can list at most ${MAX_TEAM_MEMBERS} team members` };
+  }
+  return { team };
+}
+
+function saveTeam(entryId, team) {
+  db.prepare('DELETE FROM entry_team_members WHERE entry_id = ?').run(entryId);
+  const insertMember = db.prepare('INSERT INTO entry_team_members (entry_id, name, voter_id, position) VALUES (?, ?, ?, ?)');
+  team.forEach((member, index) => insertMember.run(entryId, member.name, member.voterId, index));
+}
+
+// Entries in a contest with divisions must be in one of them
+function parseDivision(contest, value) {
+  const divisions = getDivisions(contest.id);
+  if (divisions.length === 0) return { divisionId: null };
+  const division = divisions.find(d => d.id === Number(value));
+  return division ? { divisionId: division.id } : { error: 'Choose a division for your entry' };
+}
+
+// coverIndex picks the cover from the uploaded files, in upload order
+function parseCoverIndex(value, files) {
+  const coverIndex = value === undefined ? 0 : Number(value);
+  return Number.isInteger(coverIndex) && coverIndex >= 0 && coverIndex < files.length ? coverIndex : null;
+}
+
+// The files behind an entry's photos and clips, including the cover and video posters
+function entryFilenames(entry) {
+  const filenames = db.prepare('SELECT filename, poster_filename FROM entry_images WHERE entry_id = ?').all(entry.id)
+    .flatMap(m => [m.filename, m.poster_filename])
+    .filter(Boolean);
+  return [...new Set([entry.image_filename, ...filenames])];
+}
+
+// Delete an entry with its files, votes, judges' scores, guesses, photo records, team and duplicate flags
+function deleteEntry(entry) {
+  const filenames = entryFilenames(entry);
+  db.transaction(() => {
+    db.prepare('DELETE FROM votes WHERE entry_id = ?').run(entry.id);
+    db.prepare('DELETE FROM pairwise_votes WHERE entry_a = ? OR entry_b = ?').run(entry.id, entry.id);
+    db.prepare('DELETE FROM judge_scores WHERE entry_id = ?').run(entry.id);
+    db.prepare('DELETE FROM guesses WHERE entry_id = ?').run(entry.id);
+    db.prepare('DELETE FROM entry_images WHERE entry_id = ?').run(entry.id);
+    db.prepare('DELETE FROM entry_team_members WHERE entry_id = ?').run(entry.id);
+    db.prepare('DELETE FROM duplicate_flags WHERE entry_id = ? OR matched_entry_id = ?').run(entry.id, entry.id);
+    db.prepare('DELETE FROM entries WHERE id = ?').run(entry.id);
+  })();
+  removeFiles(filenames);
+}
+
+// Submitters get a private token with their entry so they can change or
+// withdraw it while submissions are open. Only its hash is stored.
+function hashEditToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function getEntryByEditToken(contest, token) {
+  if (!token) return null;
+  return db.prepare('SELECT * FROM entries WHERE contest_id = ? AND edit_token_hash = ?').get(contest.id, hashEditToken(token)) || null;
+}
+
+function hasRoster(contestId) {
+  return Boolean(db.prepare('SELECT 1 FROM roster_members WHERE contest_id = ? LIMIT 1').get(contestId));
+}
+
+// Whether anyone has cast a ballot or guessed a maker yet. A roster can't be
+// started after that: the ballots cast without invite codes would still count.
+function hasBallots(contestId) {
+  return ['votes', 'pairwise_votes', 'bracket_votes', 'guesses'].some(table =>
+    db.prepare(`SELECT 1 FROM ${table} WHERE contest_id = ? LIMIT 1`).get(contestId)
+  );
+}
+
+// Contests with a roster only accept roster members, whose client-side voter ID
+// is their invite code. Resolves it to the member's stored voter ID, or null
+// when the code isn't on the roster. Contests without a roster accept any ID.
+function resolveVoterId(contest, voterId) {
+  if (!hasRoster(contest.id)) return voterId;
+  const member = db.prepare('SELECT id FROM roster_members WHERE contest_id = ? AND invite_code = ?')
+    .get(contest.id, String(voterId || '').trim().toUpperCase());
+  return member ? `member_${member.id}` : null;
+}
+
+// The name a guesser goes by on the leaderboard: their roster name, the name on
+// their own entry, or the name they gave with their last guesses
+function getGuesserName(contest, voterId) {
+  const member = db.prepare("SELECT name FROM roster_members WHERE contest_id = ? AND 'member_' || id = ?").get(contest.id, voterId);
+  if (member) return member.name;
+  const entry = db.prepare('SELECT name FROM entries WHERE contest_id = ? AND voter_id = ?').get(contest.id, voterId);
+  if (entry) return entry.name;
+  const guess = db.prepare('SELECT guesser_name FROM guesses WHERE contest_id = ? AND voter_id = ? ORDER BY id DESC').get(contest.id, voterId);
+  return guess ? guess.guesser_name : null;
+}
+
+function getCategories(contestId) {
+  return db.prepare('SELECT id, name FROM categories WHERE contest_id = ? ORDER BY position').all(contestId);
+}
+
+function getDivisions(contestId) {
+  return db.prepare('SELECT id, name FROM divisions WHERE contest_id = ? ORDER BY position').all(contestId);
+}
+
+// Ranked voters fill one ballot per award category, or one per division when the
+// contest votes within divisions (each covering only that division's entries).
+// Otherwise there's a single ballot, id 0.
+function getBallots(contest) {
+  const categories = getCategories(contest.id);
+  if (categories.length) return categories;
+  if (contest.division_voting === 'within') return getDivisions(contest.id);
+  return [{ id: 0, name: null }];
+}
+
+function getCriteria(contestId) {
+  return db.prepare('SELECT id, name, max_score FROM judging_criteria WHERE contest_id = ? ORDER BY position').all(contestId);
+}
+
+function getJudge(contest, judgeCode) {
+  return db.prepare('SELECT * FROM judges WHERE contest_id = ? AND judge_code = ?')
+    .get(contest.id, String(judgeCode || '').trim().toUpperCase());
+}
+
+// Number of ranks a voter can fill, never more than there are entries
+function getPickCount(contest, entryCount) {
+  return Math.max(1, Math.min(contest.max_picks || 3, entryCount));
+}
+
+function getScoringConfig(contest, entryCount) {
+  const method = contest.scoring_method || 'borda';
+  const weights = method === 'borda'
+    ? (contest.scoring_weights ? JSON.parse(contest.scoring_weights) : defaultBordaWeights(contest.max_picks || 3))
+    : null;
+  return { method, weights, maxPicks: getPickCount(contest, entryCount) };
+}
+
+// One set of standings per category, or a single overall ranking without categories
+function scoreStandings(entries, votes, categories, scoring) {
+  return (categories.length ? categories : [{ id: 0, name: null }]).map(category => ({
+    categoryId: category.id,
+    name: category.name,
+    entries: scoreContest(entries, votes.filter(v => v.category_id === category.id), scoring)
+  }));
+}
+
+// Podiums for each division. Contests that vote within divisions score each
+// division's own ballot; otherwise the overall ranking is split by division,
+// keeping places that were shared overall shared.
+function scoreDivisions(contest, entries, votes, ranked) {
+  return getDivisions(contest.id).map(division => {
+    const divisionEntries = entries.filter(e => e.division_id === division.id);
+    if (contest.division_voting === 'within') {
+      const scoring = getScoringConfig(contest, divisionEntries.length);
+      return { divisionId: division.id, name: division.name, entries: scoreContest(divisionEntries, votes.filter(v => v.category_id === division.id), scoring) };
+    }
+    
+    const inDivision = ranked.filter(e => e.division_id === division.id);
+    let place = 0;
+    return {
+      divisionId: division.id,
+      name: division.name,
+      entries: inDivision.map((entry, index) => {
+        if (index === 0 || inDivision[index - 1].place !== entry.place) place = index + 1;
+        return { ...entry, place };
+      })
+    };
+  });
+}
+
+// Contests that vote within divisions have no overall ranking, since no ballot
+// compares entries from different divisions. Each division's own standings take
+// its place, shown like award categories; divisions without entries are left out.
+function scoreWithinDivisions(contest, entries, votes) {
+  return scoreDivisions(contest, entries, votes)
+    .filter(division => division.entries.length > 0)
+    .map(division => ({ categoryId: division.divisionId, name: division.name, entries: division.entries }));
+}
+
+// Standings for each voting group from its members' rows alone, where every
+// member counts once. Rows carry the voter's group_id. Groups with fewer than
+// MIN_GROUP_VOTERS voters are left out.
+function scoreByGroup(contestId, rows, score) {
+  const groups = db.prepare('SELECT id, name, weight FROM voter_groups WHERE contest_id = ? ORDER BY name COLLATE NOCASE').all(contestId);
+  return groups
+    .map(group => ({ group, rows: rows.filter(r => r.group_id === group.id).map(r => ({ ...r, weight: 1 })) }))
+    .filter(({ rows }) => new Set(rows.map(r => r.voter_id)).size >= MIN_GROUP_VOTERS)
+    .map(({ group, rows }) => ({
+      groupId: group.id,
+      name: group.name,
+      weight: group.weight,
+      standings: score(rows)
+    }));
+}
+
+// Weights run from 0 (only counted in the group's own standings) up to
+// MAX_GROUP_WEIGHT in steps of 0.5, which keeps weighted scores exact
+function validateGroupWeight(weight) {
+  const value = Number(weight);
+  if (!Number.isFinite(value) || value < 0 || value > MAX_GROUP_WEIGHT || !Number.isInteger(value * 2)) {
+    return { error: `Weight must be between 0 and ${MAX_GROUP_WEIGHT} in steps of 0.5` };
+  }
+  return { value };
+}
+
+// API Routes
+
+// Health check
+app.get('/api/health', (req, res) => {
+  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+});
+
+// Get server timezone
+app.get('/api/timezone', (req, res) => {
+  res.json({ timezone: process.env.TZ || 'UTC' });
+});
+
+// List all contests
+app.get('/api/contests', (req, res) => {
+  try {
+    const contests = db.prepare(`
+      SELECT c.*, COUNT(e.id) as entry_count
+      FROM contests c
+      LEFT JOIN entries e ON c.id = e.contest_id
+      GROUP BY c.id
+      ORDER BY c.created_at DESC
+    `).all();
+    
+    // Update phases for all contests
+    const updatedContests = contests.map(c => {
+      const updated = updateContestPhase(c);
+      // Don't send admin pin hash to client
+      delete updated.admin_pin_hash;
+      delete updated.recovery_code_hash;
+      return updated;
+    });
+    
+    res.json(updatedContests);
+  } catch (error) {
+    console.error('Error fetching contests:', error);
+    res.status(500).json({ error: 'Failed to fetch contests' });
+  }
+});
+
+// Create new contest
+app.post('/api/contests', (req, res) => {
+  try {
+    const { name, description, adminPin, submissionDeadline, votingDeadline, scoringMethod, bordaWeights, maxPicks, categories, votingMode, criteria, videoLimits, divisions, divisionVoting, duplicatePhotos, checkPastContests } = req.body;
+    
+    if (!name || !adminPin || !submissionDeadline || !votingDeadline) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+    
+    if (!isValidPin(adminPin)) {
+      return res.status(400).json({ error: `Admin PIN must be at least ${MIN_PIN_LENGTH} characters` });
+    }
+    
+    const subDeadline = new Date(submissionDeadline);
+    const voteDeadline = new Date(votingDeadline);
+    
+    if (subDeadline >= voteDeadline) {
+      return res.status(400).json({ error: 'Voting deadline must be after submission deadline' });
+    }
+    
+    const picks = maxPicks === undefined ? 3 : maxPicks;
+    if (!Number.isInteger(picks) || picks < 1 || picks > MAX_PICKS_LIMIT) {
+      return res.status(400).json({ error: `Number of picks must be between 1 and ${MAX_PICKS_LIMIT}` });
+    }
+    
+    const method = scoringMethod || 'borda';
+    if (!SCORING_METHODS.includes(method)) {
+      return res.status(400).json({ error: 'Invalid scoring method' });
+    }
+    
+    let weights = null;
+    if (method === 'borda') {
+      weights = bordaWeights || defaultBordaWeights(picks);
+      if (!Array.isArray(weights) || weights.length !== picks ||
+          weights.some(w => typeof w !== 'number' || !Number.isFinite(w) || w < 0)) {
+        return res.status(400).json({ error: 'Points must be a non-negative number for each rank' });
+      }
+    }
+    
+    if (categories !== undefined && !Array.isArray(categories)) {
+      return res.status(400).json({ error: 'Invalid categories' });
+    }
+    const categoryNames = (categories || []).map(c => String(c).trim()).filter(Boolean);
+    if (categoryNames.length > MAX_CATEGORIES) {
+      return res.status(400).json({ error: `A contest can have at most ${MAX_CATEGORIES} categories` });
+    }
+    if (new Set(categoryNames.map(c => c.toLowerCase())).size !== categoryNames.length) {
+      return res.status(400).json({ error: 'Category names must be unique' });
+    }
+    
+    const mode = votingMode || 'ranked';
+    if (!VOTING_MODES.includes(mode)) {
+      return res.status(400).json({ error: 'Invalid voting mode' });
+    }
+    if (mode !== 'ranked' && categoryNames.length > 0) {
+      return res.status(400).json({ error: 'Award categories are only available with ranked voting' });
+    }
+    
+    // Divisions split the field (e.g. by age) and give each part its own podium
+    if (divisions !== undefined && !Array.isArray(divisions)) {
+      return res.status(400).json({ error: 'Invalid divisions' });
+    }
+    const divisionNames = (divisions || []).map(d => String(d).trim()).filter(Boolean);
+    if (divisionNames.length > MAX_DIVISIONS) {
+      return res.status(400).json({ error: `A contest can have at most ${MAX_DIVISIONS} divisions` });
+    }
+    if (new Set(divisionNames.map(d => d.toLowerCase())).size !== divisionNames.length) {
+      return res.status(400).json({ error: 'Division names must be unique' });
+    }
+    if (divisionNames.length > 0 && categoryNames.length > 0) {
+      return res.status(400).json({ error: "Award categories and divisions can't be combined" });
+    }
+    const divisionMode = divisionVoting || 'overall';
+    if (!DIVISION_VOTING.includes(divisionMode)) {
+      return res.status(400).json({ error: 'Invalid division voting' });
+    }
+    if (divisionMode === 'within' && (mode !== 'ranked' || divisionNames.length === 0)) {
+      return res.status(400).json({ error: 'Voting within divisions needs ranked voting and at least one division' });
+    }
+    
+    // Judged contests score every entry on each criterion, from 1 up to its max score
+    let judgingCriteria = [];
+    if (mode === 'judged') {
+      if (!Array.isArray(criteria) || criteria.length === 0) {
+        return res.status(400).json({ error: 'Judged contests need at least one criterion' });
+      }
+      judgingCriteria = criteria.map(c => ({ name: String(c.name || '').trim(), maxScore: c.maxScore === undefined ? 10 : c.maxScore }));
+      if (judgingCriteria.length > MAX_CRITERIA) {
+        return res.status(400).json({ error: `A contest can have at most ${MAX_CRITERIA} criteria` });
+      }
+      if (judgingCriteria.some(c => !c.name)) {
+        return res.status(400).json({ error: 'Every criterion needs a name' });
+      }
+      if (new Set(judgingCriteria.map(c => c.name.toLowerCase())).size !== judgingCriteria.length) {
+        return res.status(400).json({ error: 'Criterion names must be unique' });
+      }
+      if (judgingCriteria.some(c => !Number.isInteger(c.maxScore) || c.maxScore < 2 || c.maxScore > MAX_CRITERION_SCORE)) {
+        return res.status(400).json({ error: `Criterion max scores must be whole numbers from 2 to ${MAX_CRITERION_SCORE}` });
+      }
+    }
+    
+    // Video clips are off unless the contest sets limits for them
+    let videoMaxSeconds = null;
+    let videoMaxMb = null;
+    if (videoLimits) {
+      videoMaxSeconds = videoLimits.maxSeconds === undefined ? 30 : videoLimits.maxSeconds;
+      videoMaxMb = videoLimits.maxSizeMb === undefined ? Math.min(50, MAX_VIDEO_SIZE / 1024 / 1024) : videoLimits.maxSizeMb;
+      if (!Number.isInteger(videoMaxSeconds) || videoMaxSeconds < 1 || videoMaxSeconds > MAX_VIDEO_SECONDS) {
+        return res.status(400).json({ error: `Video length limit must be between 1 and ${MAX_VIDEO_SECONDS} seconds` });
+      }
+      if (!Number.isInteger(videoMaxMb) || videoMaxMb < 1 || videoMaxMb > MAX_VIDEO_SIZE / 1024 / 1024) {
+        return res.status(400).json({ error: `Video size limit must be between 1 and ${MAX_VIDEO_SIZE / 1024 / 1024}MB` });
+      }
+    }
+    
+    // Photos that look like another entry's are flagged for the admin, or turned away
+    const duplicatePolicy = duplicatePhotos || 'flag';
+    if (!DUPLICATE_POLICIES.includes(duplicatePolicy)) {
+      return res.status(400).json({ error: 'Invalid duplicate photo setting' });
+    }
+    
+    const slug = generateUniqueSlug(name);
+    const pinHash = hashPin(adminPin);
+    const recoveryCode = generateRecoveryCode();
+    
+    const contestId = db.transaction(() => {
+      const result = db.prepare(`
+        INSERT INTO contests (slug, name, description, admin_pin_hash, recovery_code_hash, submission_deadline, voting_deadline, scoring_method, scoring_weights, max_picks, voting_mode, video_max_seconds, video_max_mb, division_voting, duplicate_photos, check_past_contests)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(slug, name, description || '', pinHash, hashRecoveryCode(recoveryCode), submissionDeadline, votingDeadline, method, weights && JSON.stringify(weights), picks, mode, videoMaxSeconds, videoMaxMb, divisionMode, duplicatePolicy, checkPastContests ? 1 : 0);
+      
+      const insertCategory = db.prepare('INSERT INTO categories (contest_id, name, position) VALUES (?, ?, ?)');
+      categoryNames.forEach((categoryName, index) => insertCategory.run(result.lastInsertRowid, categoryName, index));
+      
+      const insertDivision = db.prepare('INSERT INTO divisions (contest_id, name, position) VALUES (?, ?, ?)');
+      divisionNames.forEach((divisionName, index) => insertDivision.run(result.lastInsertRowid, divisionName, index));
+      
+      const insertCriterion = db.prepare('INSERT INTO judging_criteria (contest_id, name, max_score, position) VALUES (?, ?, ?, ?)');
+      judgingCriteria.forEach((criterion, index) => insertCriterion.run(result.lastInsertRowid, criterion.name, criterion.maxScore, index));
+      
+      return result.lastInsertRowid;
+    })();
+    
+    const contest = db.prepare('SELECT * FROM contests WHERE id = ?').get(contestId);
+    delete contest.admin_pin_hash;
+    delete contest.recovery_code_hash;
+    contest.categories = getCategories(contest.id);
+    contest.divisions = getDivisions(contest.id);
+    contest.criteria = getCriteria(contest.id);
+    
+    // The only time the recovery code is shown
+    res.status(201).json({ ...contest, recoveryCode });
+  } catch (error) {
+    console.error('Error creating contest:', error);
+    res.status(500).json({ error: 'Failed to create contest' });
+  }
+});
+
+// Requests for a contest under a slug it used to have are sent on to its current
+// one. 308 keeps the method and body, so fetch follows it for any request.
+app.use('/api/contests/:slug', (req, res, next) => {
+  const { slug } = req.params;
+  if (db.prepare('SELECT 1 FROM contests WHERE slug = ?').get(slug)) return next();
+  
+  const contest = db.prepare(`
+    SELECT c.slug FROM slug_redirects r
+    JOIN contests c ON c.id = r.contest_id
+    WHERE r.slug = ?
+  `).get(slug);
+  if (!contest) return next();
+  
+  res.redirect(308, req.originalUrl.replace(`/api/contests/${slug}`, `/api/contests/${contest.slug}`));
+});
+
+// Get single contest
+app.get('/api/contests/:slug', (req, res) => {
+  try {
+    const contest = getContestWithPhase(req.params.slug);
+    if (!contest) {
+      return res.status(404).json({ error: 'Contest not found' });
+    }
+    
+    delete contest.admin_pin_hash;
+    delete contest.recovery_code_hash;
+    
+    // Get entry count
+    const entryCount = db.prepare('SELECT COUNT(*) as count FROM entries WHERE contest_id = ?').get(contest.id);
+    contest.entry_count = entryCount.count;
+    contest.categories = getCategories(contest.id);
+    contest.divisions = getDivisions(contest.id);
+    contest.has_roster = hasRoster(contest.id);
+    contest.criteria = getCriteria(contest.id);
+    
+    res.json(contest);
+  } catch (error) {
+    console.error('Error fetching contest:', error);
+    res.status(500).json({ error: 'Failed to fetch contest' });
+  }
+});
+
+// Get entries for a contest
+app.get('/api/contests/:slug/entries', (req, res) => {
+  try {
+    const contest = getContestWithPhase(req.params.slug);
+    if (!contest) {
+      return res.status(404).json({ error: 'Contest not found' });
+    }
+    
+    const rows = withTeam(contest.id, withMedia(contest.id, db.prepare('SELECT * FROM entries WHERE contest_id = ? ORDER BY created_at ASC').all(contest.id)));
+    const entries = rows.map(publicEntry);
+    
+    // In submission phase, hide names (anonymous until results)
+    // In voting phase, hide names and maker's notes (anonymous); titles are shown
+    // In results phase, show everything including votes
+    
+    if (contest.current_phase === 'submission') {
+      // Only send count, no image data - keep entries completely hidden
+      return res.json({ entries: [], entryCount: entries.length, phase: contest.current_phase });
+    }
+    
+    if (contest.current_phase === 'voting') {
+      // Shuffle anonymous entries; only flag the requesting voter's own entries
+      const ownEntryIds = getOwnEntryIds(contest.id, resolveVoterId(contest, req.query.voterId));
+      const shuffled = withMedia(contest.id, rows, true)
+        .map(e => ({ entry: anonymousEntry(e, ownEntryIds), sortKey: Math.random() }))
+        .sort((a, b) => a.sortKey - b.sortKey)
+        .map(({ entry }) => entry);
+      return res.json({ entries: shuffled, phase: contest.current_phase });
+    }
+    
+    if (contest.current_phase === 'results' && contest.voting_mode === 'judged') {
+      const scores = db.prepare('SELECT judge_id, entry_id, criterion_id, score FROM judge_scores WHERE contest_id = ?').all(contest.id);
+      const criteria = getCriteria(contest.id);
+      const standings = [{ categoryId: 0, name: null, entries: scoreRubric(entries, scores, criteria) }];
+      const divisionStandings = scoreDivisions(contest, entries, [], standings[0].entries);
+      const judgeCount = db.prepare('SELECT COUNT(DISTINCT judge_id) as count FROM judge_scores WHERE contest_id = ?').get(contest.id).count;
+      const scoring = { method: 'rubric', criteria, judgeCount };
+      
+      return res.json({ entries: standings[0].entries, standings, groupStandings: [], divisionStandings, phase: contest.current_phase, scoring });
+    }
+    
+    if (contest.current_phase === 'results' && contest.voting_mode === 'bracket') {
+      const matches = db.prepare('SELECT * FROM bracket_matches WHERE contest_id = ?').all(contest.id);
+      const standings = [{ categoryId: 0, name: null, entries: scoreBracket(entries, matches) }];
+      const divisionStandings = scoreDivisions(contest, entries, [], standings[0].entries);
+      const bracket = getBracketView(contest, null);
+      const scoring = { method: 'bracket', totalRounds: bracket.totalRounds };
+      
+      return res.json({ entries: standings[0].entries, standings, groupStandings: [], divisionStandings, phase: contest.current_phase, scoring, bracket });
+    }
+    
+    if (contest.current_phase === 'results' && contest.voting_mode === 'pairwise') {
+      const comparisons = db.prepare(`
+        SELECT p.voter_id, p.winner_id, CASE WHEN p.winner_id = p.entry_a THEN p.entry_b ELSE p.entry_a END as loser_id,
+          m.group_id, COALESCE(g.weight, 1) as weight
+        FROM pairwise_votes p
+        LEFT JOIN roster_members m ON m.contest_id = p.contest_id AND p.voter_id = 'member_' || m.id
+        LEFT JOIN voter_groups g ON g.id = m.group_id
+        WHERE p.contest_id = ?
+      `).all(contest.id);
+      const pairwiseStandings = rows => [{ categoryId: 0, name: null, entries: scorePairwise(entries, rows) }];
+      const standings = pairwiseStandings(comparisons);
+      const groupStandings = scoreByGroup(contest.id, comparisons, pairwiseStandings);
+      const divisionStandings = scoreDivisions(contest, entries, [], standings[0].entries);
+      const scoring = { method: 'bradleyTerry', comparisonCount: comparisons.length };
+      
+      return res.json({ entries: standings[0].entries, standings, groupStandings, divisionStandings, phase: contest.current_phase, scoring });
+    }
+    
+    if (contest.current_phase === 'results') {
+      // Roster members in a voting group carry its weight; everyone else counts once
+      const votes = db.prepare(`
+        SELECT v.voter_id, v.entry_id, v.category_id, v.rank, m.group_id, COALESCE(g.weight, 1) as weight
+        FROM votes v
+        LEFT JOIN roster_members m ON m.contest_id = v.contest_id AND v.voter_id = 'member_' || m.id
+        LEFT JOIN voter_groups g ON g.id = m.group_id
+        WHERE v.contest_id = ?
+      `).all(contest.id);
+      const scoring = getScoringConfig(contest, entries.length);
+      const categories = getCategories(contest.id);
+      const withinDivisions = contest.division_voting === 'within';
+      const score = withinDivisions
+        ? ballotVotes => scoreWithinDivisions(contest, entries, ballotVotes)
+        : ballotVotes => scoreStandings(entries, ballotVotes, categories, scoring);
+      const standings = score(votes);
+      const groupStandings = scoreByGroup(contest.id, votes, score);
+      // Voting within divisions already ranks each division in standings, so
+      // there are no separate division podiums to show
+      const divisionStandings = withinDivisions ? [] : scoreDivisions(contest, entries, votes, standings[0].entries);
+      
+      return res.json({ entries: withinDivisions ? entries : standings[0].entries, standings, groupStandings, divisionStandings, phase: contest.current_phase, scoring });
+    }
+    
+    // Fallback (shouldn't reach here normally)
+    res.json({ entries, phase: contest.current_phase });
+  } catch (error) {
+    console.error('Error fetching entries:', error);
+    res.status(500).json({ error: 'Failed to fetch entries' });
+  }
+});
+
+// Submit entry
+app.post('/api/contests/:slug/entries', upload.array('media', MAX_ENTRY_MEDIA), async (req, res) => {
+  // Poster frames made along the way, removed with the uploads if the entry is rejected
+  const posters = [];
+  const reject = (status, error) => {
+    removeFiles([...(req.files || []), ...posters].map(f => f.filename));
+    return res.status(status).json({ error });
+  };
+  
+  try {
+    const contest = getContestWithPhase(req.params.slug);
+    if (!contest) {
+      return reject(404, 'Contest not found');
+    }
+    
+    if (contest.current_phase !== 'submission') {
+      return reject(400, 'Submissions are closed for this contest');
+    }
+    
+    const { name } = req.body;
+    if (!name || !req.files?.length) {
+      return reject(400, 'Name and at least one photo or video are required');
+    }
+    
+    const coverIndex = parseCoverIndex(req.body.coverIndex, req.files);
+    if (coverIndex === null) {
+      return reject(400, 'Invalid cover image');
+    }
+    
+    const text = parseEntryText(req.body);
+    if (text.error) {
+      return reject(400, text.error);
+    }
+    
+    const { team, error: teamError } = parseTeam(contest, req.body.team, name);
+    if (teamError) {
+      return reject(400, teamError);
+    }
+    
+    const { divisionId, error: divisionError } = parseDivision(contest, req.body.divisionId);
+    if (divisionError) {
+      return reject(400, divisionError);
+    }
+    
+    const voterId = resolveVoterId(contest, req.body.voterId);
+    if (voterId === null) {
+      return reject(403, 'A valid invite code is required to submit an entry');
+    }
+    
+    // Check for duplicate name
+    const existing = db.prepare('SELECT id FROM entries WHERE contest_id = ? AND LOWER(name) = LOWER(?)').get(contest.id, name);
+    if (existing) {
+      return reject(400, 'An entry with this name already exists');
+    }
+    
+    const uploadError = await prepareUploads(contest, req.files, posters);
+    if (uploadError) {
+      return reject(...uploadError);
+    }
+    
+    const duplicates = findDuplicates(contest, req.files);
+    if (contest.duplicate_photos === 'reject' && duplicates.some(d => d.contestId === contest.id)) {
+      return reject(400, 'That photo looks like one already entered in this contest');
+    }
+    
+    const editToken = nanoid(24);
+    const entryId = db.transaction(() => {
+      const result = db.prepare(`
+        INSERT INTO entries (contest_id, name, title, maker_note, division_id, image_filename, voter_id, edit_token_hash, handle)
+        VALUES (?, ?, ?, ?, ?, '', ?, ?, ?)
+      `).run(contest.id, name.trim(), text.title, text.makerNote, divisionId, voterId || null, hashEditToken(editToken), nanoid(12));
+      saveEntryMedia(result.lastInsertRowid, req.files, coverIndex);
+      saveTeam(result.lastInsertRowid, team);
+      saveDuplicateFlags(result.lastInsertRowid, duplicates);
+      return result.lastInsertRowid;
+    })();
+    
+    const entry = db.prepare('SELECT * FROM entries WHERE id = ?').get(entryId);
+    res.status(201).json({ ...publicEntry(withTeam(contest.id, withMedia(contest.id, [entry]))[0]), editToken });
+  } catch (error) {
+    console.error('Error creating entry:', error);
+    removeFiles([...(req.files || []), ...posters].map(f => f.filename));
+    res.status(500).json({ error: 'Failed to create entry' });
+  }
+});
+
+// Submitter: Get their own entry by its edit token
+app.get('/api/contests/:slug/entries/mine', (req, res) => {
+  try {
+    const contest = getContestWithPhase(req.params.slug);
+    if (!contest) {
+      return res.status(404).json({ error: 'Contest not found' });
+    }
+    
+    const entry = getEntryByEditToken(contest, req.query.editToken);
+    if (!entry) {
+      return res.status(404).json({ error: 'Entry not found' });
+    }
+    
+    res.json({ ...publicEntry(withTeam(contest.id, withMedia(contest.id, [entry]))[0]), canEdit: contest.current_phase === 'submission' });
+  } catch (error) {
+    console.error('Error fetching own entry:', error);
+    res.status(500).json({ error: 'Failed to fetch entry' });
+  }
+});
+
+// Submitter: Change their entry's name, team, division, title or note, or replace its photos,
+// while submissions are open. Fields left out are kept; new files replace all
+// of the entry's media.
+app.put('/api/contests/:slug/entries/mine', upload.array('media', MAX_ENTRY_MEDIA), async (req, res) => {
+  const posters = [];
+  const reject = (status, error) => {
+    removeFiles([...(req.files || []), ...posters].map(f => f.filename));
+    return res.status(status).json({ error });
+  };
+  
+  try {
+    const contest = getContestWithPhase(req.params.slug);
+    if (!contest) {
+      return reject(404, 'Contest not found');
+    }
+    
+    const entry = getEntryByEditToken(contest, req.body.editToken);
+    if (!entry) {
+      return reject(404, 'Entry not found');
+    }
+    
+    if (contest.current_phase !== 'submission') {
+      return reject(400, 'Entries can only be changed while submissions are open');
+    }
+    
+    const name = req.body.name === undefined ? entry.name : String(req.body.name).trim();
+    if (!name) {
+      return reject(400, 'Name is required');
+    }
+    
+    const existing = db.prepare('SELECT id FROM entries WHERE contest_id = ? AND LOWER(name) = LOWER(?) AND id != ?').get(contest.id, name, entry.id);
+    if (existing) {
+      return reject(400, 'An entry with this name already exists');
+    }
+    
+    const text = parseEntryText({
+      title: req.body.title === undefined ? entry.title : req.body.title,
+      makerNote: req.body.makerNote === undefined ? entry.maker_note : req.body.makerNote
+    });
+    if (text.error) {
+      return reject(400, text.error);
+    }
+    
+    const { team, error: teamError } = req.body.team === undefined
+      ? { team: null }
+      : parseTeam(contest, req.body.team, name);
+    if (teamError) {
+      return reject(400, teamError);
+    }
+    
+    const { divisionId, error: divisionError } = parseDivision(contest, req.body.divisionId ?? entry.division_id);
+    if (divisionError) {
+      return reject(400, divisionError);
+    }
+    
+    const files = req.files || [];
+    const coverIndex = parseCoverIndex(req.body.coverIndex, files);
+    if (files.length && coverIndex === null) {
+      return reject(400, 'Invalid cover image');
+    }
+    
+    const uploadError = await prepareUploads(contest, files, posters);
+    if (uploadError) {
+      return reject(...uploadError);
+    }
+    
+    const duplicates = findDuplicates(contest, files, entry.id);
+    if (contest.duplicate_photos === 'reject' && duplicates.some(d => d.contestId === contest.id)) {
+      return reject(400, 'That photo looks like one already entered in this contest');
+    }
+    
+    // The old files go only once their rows have been replaced
+    const oldFilenames = files.length ? entryFilenames(entry) : [];
+    db.transaction(() => {
+      db.prepare('UPDATE entries SET name = ?, title = ?, maker_note = ?, division_id = ? WHERE id = ?')
+        .run(name, text.title, text.makerNote, divisionId, entry.id);
+      if (team) saveTeam(entry.id, team);
+      if (files.length) {
+        db.prepare('DELETE FROM entry_images WHERE entry_id = ?').run(entry.id);
+        saveEntryMedia(entry.id, files, coverIndex);
+        // Flags are for the photos they were raised on, which are gone now
+        db.prepare('DELETE FROM duplicate_flags WHERE matched_entry_id = ?').run(entry.id);
+        saveDuplicateFlags(entry.id, duplicates);
+      }
+    })();
+    removeFiles(oldFilenames);
+    
+    const updated = db.prepare('SELECT * FROM entries WHERE id = ?').get(entry.id);
+    res.json({ ...publicEntry(withTeam(contest.id, withMedia(contest.id, [updated]))[0]), canEdit: true });
+  } catch (error) {
+    console.error('Error updating own entry:', error);
+    removeFiles([...(req.files || []), ...posters].map(f => f.filename));
+    res.status(500).json({ error: 'Failed to update entry' });
+  }
+});
+
+// Submitter: Withdraw their entry while submissions are open
+app.delete('/api/contests/:slug/entries/mine', (req, res) => {
+  try {
+    const contest = getContestWithPhase(req.params.slug);
+    if (!contest) {
+      return res.status(404).json({ error: 'Contest not found' });
+    }
+    
+    const entry = getEntryByEditToken(contest, req.body.editToken);
+    if (!entry) {
+      return res.status(404).json({ error: 'Entry not found' });
+    }
+    
+    if (contest.current_phase !== 'submission') {
+      return res.status(400).json({ error: 'Entries can only be withdrawn while submissions are open' });
+    }
+    
+    deleteEntry(entry);
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error withdrawing entry:', error);
+    res.status(500).json({ error: 'Failed to withdraw entry' });
+  }
+});
+
+// Submit votes
+app.post('/api/contests/:slug/votes', (req, res) => {
+  try {
+    const contest = getContestWithPhase(req.params.slug);
+    if (!contest) {
+      return res.status(404).json({ error: 'Contest not found' });
+    }
+    
+    if (contest.current_phase !== 'voting') {
+      return res.status(400).json({ error: 'Voting is not open for this contest' });
+    }
+    
+    if (contest.voting_mode === 'judged') {
+      return res.status(400).json({ error: 'This contest is scored by its judges' });
+    }
+    
+    if (contest.voting_mode === 'pairwise') {
+      return res.status(400).json({ error: 'This contest uses head-to-head voting' });
+    }
+    
+    if (contest.voting_mode === 'bracket') {
+      return res.status(400).json({ error: 'This contest is a bracket tournament' });
+    }
+    
+    const { votes } = req.body;
+    // votes should be an array like [{ entryId: 'k3Xw9aPq2LmZ', rank: 1, categoryId: 2 }, ...], where
+    // entryId is the entry's anonymous handle; categoryId is omitted for contests without categories
+    
+    if (!req.body.voterId || !votes || !Array.isArray(votes)) {
+      return res.status(400).json({ error: 'Invalid vote data' });
+    }
+    
+    const voterId = resolveVoterId(contest, req.body.voterId);
+    if (voterId === null) {
+      return res.status(403).json({ error: 'A valid invite code is required to vote in this contest' });
+    }
+    
+    const categoryIds = getBallots(contest).map(b => b.id);
+    const withinDivisions = contest.division_voting === 'within';
+    // Voters can't pick their own entries, so they don't count towards the number of picks.
+    // Division ballots only cover the division's entries.
+    const ownEntryIds = getOwnEntryIds(contest.id, voterId);
+    const entriesByHandle = getEntriesByHandle(contest.id);
+    const contestEntries = [...entriesByHandle.values()];
+    const pickCountFor = categoryId => getPickCount(contest, contestEntries
+      .filter(e => !ownEntryIds.has(e.id) && (!withinDivisions || e.division_id === categoryId)).length);
+    
+    // Validate ranks and entries within each category
+    const ranks = new Set();
+    const entryIds = new Set();
+    const picksPerCategory = new Map();
+    for (const vote of votes) {
+      const categoryId = vote.categoryId || 0;
+      if (!categoryIds.includes(categoryId)) {
+        return res.status(400).json({ error: 'Invalid category' });
+      }
+      const pickCount = pickCountFor(categoryId);
+      picksPerCategory.set(categoryId, (picksPerCategory.get(categoryId) || 0) + 1);
+      if (picksPerCategory.get(categoryId) > pickCount) {
+        return res.status(400).json({ error: `You can only vote for up to ${pickCount} ${pickCount === 1 ? 'entry' : 'entries'}` });
+      }
+      if (!Number.isInteger(vote.rank) || vote.rank < 1 || vote.rank > pickCount) {
+        return res.status(400).json({ error: 'Invalid rank value' });
+      }
+      if (ranks.has(`${categoryId}:${vote.rank}`)) {
+        return res.status(400).json({ error: 'Duplicate rank' });
+      }
+      if (entryIds.has(`${categoryId}:${vote.entryId}`)) {
+        return res.status(400).json({ error: 'Cannot vote for the same entry twice' });
+      }
+      ranks.add(`${categoryId}:${vote.rank}`);
+      entryIds.add(`${categoryId}:${vote.entryId}`);
+      
+      // Verify entry exists in this contest
+      const entry = entriesByHandle.get(vote.entryId);
+      if (!entry) {
+        return res.status(400).json({ error: 'Invalid entry' });
+      }
+      vote.entry = entry;
+      if (withinDivisions && entry.division_id !== categoryId) {
+        return res.status(400).json({ error: 'That entry is in a different division' });
+      }
+      if (ownEntryIds.has(entry.id)) {
+        return res.status(400).json({ error: "You can't vote for your own entry" });
+      }
+    }
+    
+    const insertVote = db.prepare('INSERT INTO votes (contest_id, voter_id, entry_id, category_id, rank) VALUES (?, ?, ?, ?, ?)');
+    db.transaction(() => {
+      // Replace any existing votes from this voter
+      db.prepare('DELETE FROM votes WHERE contest_id = ? AND voter_id = ?').run(contest.id, voterId);
+      for (const vote of votes) {
+        insertVote.run(contest.id, voterId, vote.entry.id, vote.categoryId || 0, vote.rank);
+      }
+    })();
+    
+    res.json({ success: true, message: 'Votes recorded successfully' });
+  } catch (error) {
+    console.error('Error recording votes:', error);
+    res.status(500).json({ error: 'Failed to record votes' });
+  }
+});
+
+// Get voter's existing votes, with entries by their anonymous handle
+app.get('/api/contests/:slug/votes/:voterId', (req, res) => {
+  try {
+    const contest = getContestWithPhase(req.params.slug);
+    if (!contest) {
+      return res.status(404).json({ error: 'Contest not found' });
+    }
+    
+    const voterId = resolveVoterId(contest, req.params.voterId);
+    if (voterId === null) {
+      return res.json([]);
+    }
+    
+    const votes = db.prepare(`
+      SELECT e.handle as entryId, v.category_id as categoryId, v.rank 
+      FROM votes v
+      JOIN entries e ON e.id = v.entry_id
+      WHERE v.contest_id = ? AND v.voter_id = ?
+    `).all(contest.id, voterId);
+    
+    res.json(votes);
+  } catch (error) {
+    console.error('Error fetching votes:', error);
+    res.status(500).json({ error: 'Failed to fetch votes' });
+  }
+});
+
+// Next head-to-head pair for a voter: the least-compared pair they haven't
+// picked from yet, never including their own entry
+app.get('/api/contests/:slug/pairwise/next', (req, res) => {
+  try {
+    const contest = getContestWithPhase(req.params.slug);
+    if (!contest) {
+      return res.status(404).json({ error: 'Contest not found' });
+    }
+    
+    if (contest.voting_mode !== 'pairwise') {
+      return res.status(400).json({ error: 'This contest does not use head-to-head voting' });
+    }
+    
+    if (contest.current_phase !== 'voting') {
+      return res.status(400).json({ error: 'Voting is not open for this contest' });
+    }
+    
+    const voterId = resolveVoterId(contest, req.query.voterId);
+    if (!voterId) {
+      return res.status(403).json({ error: 'A valid invite code is required to vote in this contest' });
+    }
+    
+    const ownEntryIds = getOwnEntryIds(contest.id, voterId);
+    const entryIds = db.prepare('SELECT id FROM entries WHERE contest_id = ? ORDER BY id')
+      .all(contest.id).map(e => e.id).filter(id => !ownEntryIds.has(id));
+    const done = new Set(db.prepare('SELECT entry_a, entry_b FROM pairwise_votes WHERE contest_id = ? AND voter_id = ?')
+      .all(contest.id, voterId).map(p => `${p.entry_a}:${p.entry_b}`));
+    const timesCompared = new Map(db.prepare('SELECT entry_a, entry_b, COUNT(*) as count FROM pairwise_votes WHERE contest_id = ? GROUP BY entry_a, entry_b')
+      .all(contest.id).map(p => [`${p.entry_a}:${p.entry_b}`, p.count]));
+    
+    const open = [];
+    for (let i = 0; i < entryIds.length; i++) {
+      for (let j = i + 1; j < entryIds.length; j++) {
+        const key = `${entryIds[i]}:${entryIds[j]}`;
+        if (!done.has(key)) open.push({ pair: [entryIds[i], entryIds[j]], count: timesCompared.get(key) || 0 });
+      }
+    }
+    
+    const pairCount = entryIds.length * (entryIds.length - 1) / 2;
+    if (open.length === 0) {
+      return res.json({ pair: null, comparedCount: done.size, pairCount });
+    }
+    
+    const fewest = Math.min(...open.map(p => p.count));
+    const candidates = open.filter(p => p.count === fewest);
+    const { pair } = candidates[Math.floor(Math.random() * candidates.length)];
+    // Show the two entries in random order so position gives nothing away
+    if (Math.random() < 0.5) pair.reverse();
+    
+    const handles = new Map(db.prepare('SELECT id, handle FROM entries WHERE contest_id = ?').all(contest.id).map(e => [e.id, e.handle]));
+    res.json({ pair: pair.map(id => handles.get(id)), comparedCount: done.size, pairCount });
+  } catch (error) {
+    console.error('Error picking head-to-head pair:', error);
+    res.status(500).json({ error: 'Failed to pick the next pair' });
+  }
+});
+
+// Record a head-to-head pick; picking from the same pair again replaces the earlier pick
+app.post('/api/contests/:slug/pairwise', (req, res) => {
+  try {
+    const contest = getContestWithPhase(req.params.slug);
+    if (!contest) {
+      return res.status(404).json({ error: 'Contest not found' });
+    }
+    
+    if (contest.voting_mode !== 'pairwise') {
+      return res.status(400).json({ error: 'This contest does not use head-to-head voting' });
+    }
+    
+    if (contest.current_phase !== 'voting') {
+      return res.status(400).json({ error: 'Voting is not open for this contest' });
+    }
+    
+    // winnerId and loserId are the entries' anonymous handles
+    const { winnerId, loserId } = req.body;
+    if (!req.body.voterId || typeof winnerId !== 'string' || typeof loserId !== 'string' || winnerId === loserId) {
+      return res.status(400).json({ error: 'Invalid vote data' });
+    }
+    
+    const voterId = resolveVoterId(contest, req.body.voterId);
+    if (voterId === null) {
+      return res.status(403).json({ error: 'A valid invite code is required to vote in this contest' });
+    }
+    
+    const ownEntryIds = getOwnEntryIds(contest.id, voterId);
+    const entriesByHandle = getEntriesByHandle(contest.id);
+    const [winner, loser] = [entriesByHandle.get(winnerId), entriesByHandle.get(loserId)];
+    for (const entry of [winner, loser]) {
+      if (!entry) {
+        return res.status(400).json({ error: 'Invalid entry' });
+      }
+      if (ownEntryIds.has(entry.id)) {
+        return res.status(400).json({ error: "You can't vote on your own entry" });
+      }
+    }
+    
+    db.prepare(`
+      INSERT INTO pairwise_votes (contest_id, voter_id, entry_a, entry_b, winner_id) VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(contest_id, voter_id, entry_a, entry_b) DO UPDATE SET winner_id = excluded.winner_id
+    `).run(contest.id, voterId, Math.min(winner.id, loser.id), Math.max(winner.id, loser.id), winner.id);
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error recording head-to-head vote:', error);
+    res.status(500).json({ error: 'Failed to record vote' });
+  }
+});
+
+// Get the bracket, with the voter's picks and own entries flagged
+app.get('/api/contests/:slug/bracket', (req, res) => {
+  try {
+    const contest = getContestWithPhase(req.params.slug);
+    if (!contest) {
+      return res.status(404).json({ error: 'Contest not found' });
+    }
+    
+    if (contest.voting_mode !== 'bracket') {
+      return res.status(400).json({ error: 'This contest is not a bracket tournament' });
+    }
+    
+    res.json(getBracketView(contest, resolveVoterId(contest, req.query.voterId)));
+  } catch (error) {
+    console.error('Error fetching bracket:', error);
+    res.status(500).json({ error: 'Failed to fetch bracket' });
+  }
+});
+
+// Submit picks for the current round's matchups; picking again in a matchup replaces the earlier pick
+app.post('/api/contests/:slug/bracket/votes', (req, res) => {
+  try {
+    const contest = getContestWithPhase(req.params.slug);
+    if (!contest) {
+      return res.status(404).json({ error: 'Contest not found' });
+    }
+    
+    if (contest.voting_mode !== 'bracket') {
+      return res.status(400).json({ error: 'This contest is not a bracket tournament' });
+    }
+    
+    if (contest.current_phase !== 'voting') {
+      return res.status(400).json({ error: 'Voting is not open for this contest' });
+    }
+    
+    const { picks } = req.body;
+    // picks should be an array like [{ matchId: 4, entryId: 'k3Xw9aPq2LmZ' }], by the entry's handle
+    if (!req.body.voterId || !Array.isArray(picks)) {
+      return res.status(400).json({ error: 'Invalid vote data' });
+    }
+    
+    const voterId = resolveVoterId(contest, req.body.voterId);
+    if (voterId === null) {
+      return res.status(403).json({ error: 'A valid invite code is required to vote in this contest' });
+    }
+    
+    const ownEntryIds = getOwnEntryIds(contest.id, voterId);
+    const entriesByHandle = getEntriesByHandle(contest.id);
+    for (const pick of picks) {
+      const match = db.prepare('SELECT * FROM bracket_matches WHERE id = ? AND contest_id = ?').get(pick.matchId, contest.id);
+      if (!match) {
+        return res.status(400).json({ error: 'Invalid matchup' });
+      }
+      if (match.round !== contest.current_round || match.winner_id !== null) {
+        return res.status(400).json({ error: 'This matchup is no longer open' });
+      }
+      pick.entry = entriesByHandle.get(pick.entryId);
+      if (!pick.entry || (pick.entry.id !== match.entry_a && pick.entry.id !== match.entry_b)) {
+        return res.status(400).json({ error: 'Invalid entry' });
+      }
+      if (ownEntryIds.has(match.entry_a) || ownEntryIds.has(match.entry_b)) {
+        return res.status(400).json({ error: "You can't vote in a matchup with your own entry" });
+      }
+    }
+    
+    const upsertVote = db.prepare(`
+      INSERT INTO bracket_votes (contest_id, match_id, voter_id, entry_id) VALUES (?, ?, ?, ?)
+      ON CONFLICT(match_id, voter_id) DO UPDATE SET entry_id = excluded.entry_id
+    `);
+    db.transaction(() => {
+      for (const pick of picks) {
+        upsertVote.run(contest.id, pick.matchId, voterId, pick.entry.id);
+      }
+    })();
+    
+    res.json({ success: true, message: 'Votes recorded successfully' });
+  } catch (error) {
+    console.error('Error recording bracket votes:', error);
+    res.status(500).json({ error: 'Failed to record votes' });
+  }
+});
+
+// Get the names a voter can guess from, plus their guesses so far. The names are
+// sorted so their order gives nothing away, and the voter's own name is left out.
+app.get('/api/contests/:slug/guesses', (req, res) => {
+  try {
+    const contest = getContestWithPhase(req.params.slug);
+    if (!contest) {
+      return res.status(404).json({ error: 'Contest not found' });
+    }
+    
+    if (contest.current_phase !== 'voting') {
+      return res.status(400).json({ error: 'Guessing is only open during voting' });
+    }
+    
+    const voterId = resolveVoterId(contest, req.query.voterId);
+    if (!voterId) {
+      return res.status(403).json({ error: 'A valid invite code is required to play' });
+    }
+    
+    const ownEntryIds = getOwnEntryIds(contest.id, voterId);
+    // Each maker is listed once, however many entries they submitted
+    const names = [...new Set(db.prepare('SELECT id, name FROM entries WHERE contest_id = ? ORDER BY name COLLATE NOCASE')
+      .all(contest.id)
+      .filter(e => !ownEntryIds.has(e.id))
+      .map(e => e.name))];
+    const guesses = db.prepare(`
+      SELECT e.handle, g.guessed_name FROM guesses g
+      JOIN entries e ON e.id = g.entry_id
+      WHERE g.contest_id = ? AND g.voter_id = ?
+    `).all(contest.id, voterId);
+    
+    res.json({
+      names,
+      guesses: Object.fromEntries(guesses.map(g => [g.handle, g.guessed_name])),
+      guesserName: getGuesserName(contest, voterId)
+    });
+  } catch (error) {
+    console.error('Error fetching guesses:', error);
+    res.status(500).json({ error: 'Failed to fetch guesses' });
+  }
+});
+
+// Save guesses; a guess with an empty name clears that entry's guess
+app.post('/api/contests/:slug/guesses', (req, res) => {
+  try {
+    const contest = getContestWithPhase(req.params.slug);
+    if (!contest) {
+      return res.status(404).json({ error: 'Contest not found' });
+    }
+    
+    if (contest.current_phase !== 'voting') {
+      return res.status(400).json({ error: 'Guessing is only open during voting' });
+    }
+    
+    const { guesses } = req.body;
+    // guesses should be an array like [{ entryId: 'k3Xw9aPq2LmZ', name: 'Aunt May' }], by the entry's handle
+    if (!req.body.voterId || !Array.isArray(guesses)) {
+      return res.status(400).json({ error: 'Invalid guess data' });
+    }
+    
+    const voterId = resolveVoterId(contest, req.body.voterId);
+    if (voterId === null) {
+      return res.status(403).json({ error: 'A valid invite code is required to play' });
+    }
+    
+    const guesserName = getGuesserName(contest, voterId) || String(req.body.guesserName || '').trim();
+    if (!guesserName) {
+      return res.status(400).json({ error: 'Add your name so your guesses can go on the leaderboard' });
+    }
+    
+    const entries = db.prepare('SELECT * FROM entries WHERE contest_id = ?').all(contest.id);
+    const ownEntryIds = getOwnEntryIds(contest.id, voterId);
+    const saves = [];
+    for (const guess of guesses) {
+      const entry = entries.find(e => e.handle === guess.entryId);
+      if (!entry) {
+        return res.status(400).json({ error: 'Invalid entry' });
+      }
+      if (ownEntryIds.has(entry.id)) {
+        return res.status(400).json({ error: "You can't guess the maker of your own entry" });
+      }
+      
+      const guessedName = String(guess.name || '').trim();
+      // Store the name as submitted, so a guess always matches a name on the list exactly
+      const named = guessedName && entries.find(e => e.name.toLowerCase() === guessedName.toLowerCase());
+      if (guessedName && !named) {
+        return res.status(400).json({ error: `"${guessedName}" didn't submit an entry` });
+      }
+      saves.push({ entryId: entry.id, name: named ? named.name : null });
+    }
+    
+    const upsertGuess = db.prepare(`
+      INSERT INTO guesses (contest_id, voter_id, guesser_name, entry_id, guessed_name) VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(contest_id, voter_id, entry_id) DO UPDATE SET guessed_name = excluded.guessed_name
+    `);
+    const clearGuess = db.prepare('DELETE FROM guesses WHERE contest_id = ? AND voter_id = ? AND entry_id = ?');
+    db.transaction(() => {
+      for (const save of saves) {
+        if (save.name) {
+          upsertGuess.run(contest.id, voterId, guesserName, save.entryId, save.name);
+        } else {
+          clearGuess.run(contest.id, voterId, save.entryId);
+        }
+      }
+      db.prepare('UPDATE guesses SET guesser_name = ? WHERE contest_id = ? AND voter_id = ?').run(guesserName, contest.id, voterId);
+    })();
+    
+    res.json({ success: true, guesserName });
+  } catch (error) {
+    console.error('Error saving guesses:', error);
+    res.status(500).json({ error: 'Failed to save guesses' });
+  }
+});
+
+// Who guessed the most makers right, revealed with the results. Guessers with
+// the same number right share a place.
+app.get('/api/contests/:slug/guesses/leaderboard', (req, res) => {
+  try {
+    const contest = getContestWithPhase(req.params.slug);
+    if (!contest) {
+      return res.status(404).json({ error: 'Contest not found' });
+    }
+    
+    if (contest.current_phase !== 'results') {
+      return res.status(400).json({ error: 'Guesses are revealed with the results' });
+    }
+    
+    const rows = db.prepare(`
+      SELECT g.voter_id, g.guesser_name,
+        COUNT(*) as guessed,
+        SUM(CASE WHEN LOWER(g.guessed_name) = LOWER(e.name) THEN 1 ELSE 0 END) as correct
+      FROM guesses g
+      JOIN entries e ON e.id = g.entry_id
+      WHERE g.contest_id = ?
+      GROUP BY g.voter_id
+      ORDER BY correct DESC, guessed ASC, g.guesser_name COLLATE NOCASE
+    `).all(contest.id);
+    
+    let place = 0;
+    const leaderboard = rows.map((row, index) => {
+      if (index === 0 || row.correct !== rows[index - 1].correct) place = index + 1;
+      return { name: row.guesser_name, correct: row.correct, guessed: row.guessed, place };
+    });
+    
+    res.json({ leaderboard });
+  } catch (error) {
+    console.error('Error fetching guess leaderboard:', error);
+    res.status(500).json({ error: 'Failed to fetch guess leaderboard' });
+  }
+});
+
+// Look up a roster member by invite code
+app.post('/api/contests/:slug/roster/verify', (req, res) => {
+  try {
+    const contest = db.prepare('SELECT * FROM contests WHERE slug = ?').get(req.params.slug);
+    if (!contest) {
+      return res.status(404).json({ error: 'Contest not found' });
+    }
+    
+    const { inviteCode } = req.body;
+    const member = db.prepare('SELECT name, invite_code FROM roster_members WHERE contest_id = ? AND invite_code = ?')
+      .get(contest.id, String(inviteCode || '').trim().toUpperCase());
+    if (!member) {
+      return res.status(404).json({ error: 'Invite code not found' });
+    }
+    
+    res.json({ name: member.name, inviteCode: member.invite_code });
+  } catch (error) {
+    console.error('Error verifying invite code:', error);
+    res.status(500).json({ error: 'Failed to verify invite code' });
+  }
+});
+
+// Look up a judge by their judge code
+app.post('/api/contests/:slug/judges/verify', (req, res) => {
+  try {
+    const contest = db.prepare('SELECT * FROM contests WHERE slug = ?').get(req.params.slug);
+    if (!contest) {
+      return res.status(404).json({ error: 'Contest not found' });
+    }
+    
+    const judge = getJudge(contest, req.body.judgeCode);
+    if (!judge) {
+      return res.status(404).json({ error: 'Judge code not found' });
+    }
+    
+    res.json({ name: judge.name, judgeCode: judge.judge_code });
+  } catch (error) {
+    console.error('Error verifying judge code:', error);
+    res.status(500).json({ error: 'Failed to verify judge code' });
+  }
+});
+
+// Submit a judge's scores. Judges can save as they go, so each call replaces
+// only the scores it includes.
+app.post('/api/contests/:slug/judge-scores', (req, res) => {
+  try {
+    const contest = getContestWithPhase(req.params.slug);
+    if (!contest) {
+      return res.status(404).json({ error: 'Contest not found' });
+    }
+    
+    if (contest.voting_mode !== 'judged') {
+      return res.status(400).json({ error: 'This contest is not judged' });
+    }
+    
+    if (contest.current_phase !== 'voting') {
+      return res.status(400).json({ error: 'Judging is not open for this contest' });
+    }
+    
+    const judge = getJudge(contest, req.body.judgeCode);
+    if (!judge) {
+      return res.status(403).json({ error: 'A valid judge code is required' });
+    }
+    
+    const { scores } = req.body;
+    // scores should be an array like [{ entryId: 'k3Xw9aPq2LmZ', criterionId: 2, score: 8 }], by the entry's handle
+    if (!Array.isArray(scores)) {
+      return res.status(400).json({ error: 'Invalid score data' });
+    }
+    
+    const criteria = new Map(getCriteria(contest.id).map(c => [c.id, c]));
+    const entriesByHandle = getEntriesByHandle(contest.id);
+    const seen = new Set();
+    for (const item of scores) {
+      const criterion = criteria.get(item.criterionId);
+      if (!criterion) {
+        return res.status(400).json({ error: 'Invalid criterion' });
+      }
+      item.entry = entriesByHandle.get(item.entryId);
+      if (!item.entry) {
+        return res.status(400).json({ error: 'Invalid entry' });
+      }
+      if (!Number.isInteger(item.score) || item.score < 1 || item.score > criterion.max_score) {
+        return res.status(400).json({ error: `${criterion.name} scores must be between 1 and ${criterion.max_score}` });
+      }
+      if (seen.has(`${item.entryId}:${item.criterionId}`)) {
+        return res.status(400).json({ error: 'Duplicate score' });
+      }
+      seen.add(`${item.entryId}:${item.criterionId}`);
+    }
+    
+    const upsertScore = db.prepare(`
+      INSERT INTO judge_scores (contest_id, judge_id, entry_id, criterion_id, score) VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(judge_id, entry_id, criterion_id) DO UPDATE SET score = excluded.score
+    `);
+    db.transaction(() => {
+      for (const item of scores) {
+        upsertScore.run(contest.id, judge.id, item.entry.id, item.criterionId, item.score);
+      }
+    })();
+    
+    res.json({ success: true, message: 'Scores saved' });
+  } catch (error) {
+    console.error('Error recording judge scores:', error);
+    res.status(500).json({ error: 'Failed to save scores' });
+  }
+});
+
+// Get a judge's existing scores, with entries by their anonymous handle
+app.get('/api/contests/:slug/judge-scores/:judgeCode', (req, res) => {
+  try {
+    const contest = getContestWithPhase(req.params.slug);
+    if (!contest) {
+      return res.status(404).json({ error: 'Contest not found' });
+    }
+    
+    const judge = getJudge(contest, req.params.judgeCode);
+    if (!judge) {
+      return res.status(403).json({ error: 'A valid judge code is required' });
+    }
+    
+    const scores = db.prepare(`
+      SELECT e.handle as entryId, s.criterion_id as criterionId, s.score
+      FROM judge_scores s
+      JOIN entries e ON e.id = s.entry_id
+      WHERE s.judge_id = ?
+    `).all(judge.id);
+    
+    res.json(scores);
+  } catch (error) {
+    console.error('Error fetching judge scores:', error);
+    res.status(500).json({ error: 'Failed to fetch scores' });
+  }
+});
+
+// Admin: Log in with the PIN, getting a session token for the other admin routes
+app.post('/api/contests/:slug/admin/login', (req, res) => {
+  try {
+    const contest = db.prepare('SELECT * FROM contests WHERE slug = ?').get(req.params.slug);
+    if (!contest) {
+      return res.status(404).json({ error: 'Contest not found' });
+    }
+    
+    const { pin } = req.body;
+    if (!pin) {
+      return res.status(400).json({ error: 'PIN required' });
+    }
+    
+    if (rejectIfLockedOut(contest, req, res)) return;
+    
+    const valid = checkAdminPin(contest, pin);
+    recordPinAttempt(contest, req.ip, valid);
+    if (!valid) {
+      return res.status(401).json({ error: 'Invalid PIN' });
+    }
+    
+    res.json(createAdminSession(contest));
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({ error: 'Failed to log in' });
+  }
+});
+
+// Admin: Set a new PIN with the recovery code, for an organizer who has forgotten
+// the PIN. The code is used up; a new one is returned along with a session.
+app.post('/api/contests/:slug/admin/recover', (req, res) => {
+  try {
+    const contest = db.prepare('SELECT * FROM contests WHERE slug = ?').get(req.params.slug);
+    if (!contest) {
+      return res.status(404).json({ error: 'Contest not found' });
+    }
+    
+    const { recoveryCode, newPin } = req.body;
+    if (!recoveryCode) {
+      return res.status(400).json({ error: 'Recovery code required' });
+    }
+    if (!isValidPin(newPin)) {
+      return res.status(400).json({ error: `Admin PIN must be at least ${MIN_PIN_LENGTH} characters` });
+    }
+    
+    if (rejectIfLockedOut(contest, req, res)) return;
+    
+    const valid = Boolean(contest.recovery_code_hash) && recoveryCodeMatches(recoveryCode, contest.recovery_code_hash);
+    recordPinAttempt(contest, req.ip, valid);
+    if (!valid) {
+      return res.status(401).json({ error: 'Invalid recovery code' });
+    }
+    
+    const newRecoveryCode = setAdminPin(contest, newPin);
+    db.prepare('DELETE FROM admin_sessions WHERE contest_id = ?').run(contest.id);
+    
+    res.json({ ...createAdminSession(contest), recoveryCode: newRecoveryCode });
+  } catch (error) {
+    console.error('Error recovering admin PIN:', error);
+    res.status(500).json({ error: 'Failed to reset the PIN' });
+  }
+});
+
+// Every admin route below needs a session from the login route
+app.use('/api/contests/:slug/admin', requireAdmin);
+
+// Admin: Check a session, e.g. one kept from an earlier visit
+app.get('/api/contests/:slug/admin/session', (req, res) => {
+  res.json({ expiresAt: req.adminSession.expires_at });
+});
+
+// Admin: Recent failed logins, newest first
+app.get('/api/contests/:slug/admin/login-attempts', (req, res) => {
+  try {
+    const attempts = db.prepare(`
+      SELECT ip, attempted_at FROM pin_attempts
+      WHERE contest_id = ? AND succeeded = 0
+      ORDER BY attempted_at DESC
+      LIMIT 50
+    `).all(req.contest.id);
+    res.json({ attempts, retentionDays: PIN_ATTEMPT_RETENTION_DAYS });
+  } catch (error) {
+    console.error('Error fetching login attempts:', error);
+    res.status(500).json({ error: 'Failed to fetch login attempts' });
+  }
+});
+
+// Admin: Log out, ending the session before it expires
+app.post('/api/contests/:slug/admin/logout', (req, res) => {
+  try {
+    db.prepare('DELETE FROM admin_sessions WHERE id = ?').run(req.adminSession.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
+// Admin: Change the PIN. The current PIN is needed as well as the session, every
+// other session is ended, and a new recovery code replaces the old one.
+app.put('/api/contests/:slug/admin/pin', (req, res) => {
+  try {
+    const { contest } = req;
+    const { currentPin, newPin } = req.body;
+    
+    if (!currentPin) {
+      return res.status(400).json({ error: 'Current PIN required' });
+    }
+    if (!isValidPin(newPin)) {
+      return res.status(400).json({ error: `Admin PIN must be at least ${MIN_PIN_LENGTH} characters` });
+    }
+    
+    if (rejectIfLockedOut(contest, req, res)) return;
+    
+    const valid = checkAdminPin(contest, currentPin);
+    recordPinAttempt(contest, req.ip, valid);
+    if (!valid) {
+      return res.status(400).json({ error: 'Current PIN is incorrect' });
+    }
+    
+    const recoveryCode = setAdminPin(contest, newPin);
+    db.prepare('DELETE FROM admin_sessions WHERE contest_id = ? AND id != ?').run(contest.id, req.adminSession.id);
+    
+    res.json({ recoveryCode });
+  } catch (error) {
+    console.error('Error changing admin PIN:', error);
+    res.status(500).json({ error: 'Failed to change the PIN' });
+  }
+});
+
+// Admin: Update contest
+app.put('/api/contests/:slug/admin', (req, res) => {
+  try {
+    const { contest } = req;
+    const { name, description, regenerateSlug, submissionDeadline, votingDeadline, currentPhase } = req.body;
+    
+    // Everything is checked before anything is changed
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+      return res.status(400).json({ error: 'Contest name is required' });
+    }
+    if (description !== undefined && typeof description !== 'string') {
+      return res.status(400).json({ error: 'Invalid description' });
+    }
+    
+    const changeDeadlines = Boolean(submissionDeadline && votingDeadline);
+    if (changeDeadlines) {
+      const subDeadline = new Date(submissionDeadline);
+      const voteDeadline = new Date(votingDeadline);
+      
+      if (isNaN(subDeadline) || isNaN(voteDeadline)) {
+        return res.status(400).json({ error: 'Invalid deadline' });
+      }
+      if (subDeadline >= voteDeadline) {
+        return res.status(400).json({ error: 'Voting deadline must be after submission deadline' });
+      }
+    }
+    
+    const newName = name !== undefined ? name.trim() : contest.name;
+    const newDescription = description !== undefined ? description.trim() : contest.description;
+    // A new slug from the (new) name; the old one becomes a redirect
+    const newSlug = regenerateSlug ? generateUniqueSlug(newName, contest.id) : contest.slug;
+    
+    // Update fields
+    db.transaction(() => {
+      db.prepare('UPDATE contests SET name = ?, description = ? WHERE id = ?').run(newName, newDescription, contest.id);
+      
+      if (newSlug !== contest.slug) {
+        db.prepare('DELETE FROM slug_redirects WHERE slug = ?').run(newSlug);
+        db.prepare('INSERT INTO slug_redirects (slug, contest_id) VALUES (?, ?)').run(contest.slug, contest.id);
+        db.prepare('UPDATE contests SET slug = ? WHERE id = ?').run(newSlug, contest.id);
+      }
+      
+      if (changeDeadlines) {
+        db.prepare('UPDATE contests SET submission_deadline = ?, voting_deadline = ? WHERE id = ?')
+          .run(submissionDeadline, votingDeadline, contest.id);
+      }
+      
+      if (currentPhase && ['submission', 'voting', 'results'].includes(currentPhase)) {
+        db.prepare('UPDATE contests SET current_phase = ? WHERE id = ?').run(currentPhase, contest.id);
+      }
+    })();
+    
+    const updated = db.prepare('SELECT * FROM contests WHERE id = ?').get(contest.id);
+    
+    // Keep a running bracket in step: reopening submissions discards it, and a
+    // new voting deadline re-spreads the rounds still to play
+    if (updated.voting_mode === 'bracket') {
+      if (updated.current_phase === 'submission' && updated.current_round !== null) {
+        resetBracket(updated);
+      } else if (votingDeadline && updated.current_phase === 'voting' && updated.current_round !== null) {
+        const totalRounds = db.prepare('SELECT COUNT(*) as count FROM bracket_rounds WHERE contest_id = ?').get(updated.id).count;
+        scheduleBracketRounds(updated, updated.current_round, totalRounds);
+      }
+      advanceBracket(updated);
+    }
+    delete updated.admin_pin_hash;
+    delete updated.recovery_code_hash;
     
-    res.json(updatedContests);
+    res.json(updated);
   } catch (error) {
-    console.error('Error fetching contests:', error);
-    res.status(500).json({ error: 'Failed to fetch contests' });
+    console.error('Error updating contest:', error);
+    res.status(500).json({ error: 'Failed to update contest' });
   }
 });
 
-// Create new contest
-app.post('/api/contests', (req, res) => {
+// Admin: Delete the whole contest, with every entry's files. The admin must
+// retype the contest's name to confirm.
+app.delete('/api/contests/:slug/admin', (req, res) => {
   try {
-    const { name, description, adminPin, submissionDeadline, votingDeadline } = req.body;
+    const { contest } = req;
+    const { confirmName } = req.body;
     
-    if (!name || !adminPin || !submissionDeadline || !votingDeadline) {
-      return res.status(400).json({ error: 'Missing required fields' });
+    if (typeof confirmName !== 'string' || confirmName.trim() !== contest.name.trim()) {
+      return res.status(400).json({ error: 'Type the contest name exactly to delete it' });
     }
     
-    if (adminPin.length < 4) {
-      return res.status(400).json({ error: 'Admin PIN must be at least 4 characters' });
-    }
+    const entries = db.prepare('SELECT * FROM entries WHERE contest_id = ?').all(contest.id);
+    // Looked up before the rows go; the files are removed once the database is done
+    const filenames = entries.flatMap(entry => entryFilenames(entry));
     
-    const subDeadline = new Date(submissionDeadline);
-    const voteDeadline = new Date(votingDeadline);
+    db.transaction(() => {
+      for (const entry of entries) {
+        db.prepare('DELETE FROM entry_images WHERE entry_id = ?').run(entry.id);
+        db.prepare('DELETE FROM entry_team_members WHERE entry_id = ?').run(entry.id);
+        db.prepare('DELETE FROM duplicate_flags WHERE entry_id = ? OR matched_entry_id = ?').run(entry.id, entry.id);
+      }
+      for (const table of [
+        'votes', 'pairwise_votes', 'bracket_votes', 'bracket_matches', 'bracket_rounds',
+        'judge_scores', 'judges', 'judging_criteria', 'guesses', 'entries', 'categories',
+        'divisions', 'roster_members', 'voter_groups', 'admin_sessions', 'pin_attempts', 'slug_redirects'
+      ]) {
+        db.prepare(`DELETE FROM ${table} WHERE contest_id = ?`).run(contest.id);
+      }
+      db.prepare('DELETE FROM contests WHERE id = ?').run(contest.id);
+    })();
     
-    if (subDeadline >= voteDeadline) {
-      return res.status(400).json({ error: 'Voting deadline must be after submission deadline' });
-    }
+    removeFiles(filenames);
     
-    const slug = generateUniqueSlug(name);
-    const pinHash = hashPin(adminPin);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting contest:', error);
+    res.status(500).json({ error: 'Failed to delete contest' });
+  }
+});
+
+// Admin: Delete entry
+app.delete('/api/contests/:slug/admin/entries/:entryId', (req, res) => {
+  try {
+    const { contest } = req;
+    
+    const entry = db.prepare('SELECT * FROM entries WHERE id = ? AND contest_id = ?').get(req.params.entryId, contest.id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Entry not found' });
+    }
     
-    const result = db.prepare(`
-      INSERT INTO contests (slug, name, description, admin_pin_hash, submission_deadline, voting_deadline)
-      VALUES (?, ?, ?, ?, ?, ?)
-    `).run(slug, name, description || '', pinHash, submissionDeadline, votingDeadline);
+    if (contest.current_round !== null) {
+      return res.status(400).json({ error: "Entries can't be removed once the bracket has been drawn" });
+    }
     
-    const contest = db.prepare('SELECT * FROM contests WHERE id = ?').get(result.lastInsertRowid);
-    delete contest.admin_pin_hash;
+    deleteEntry(entry);
     
-    res.status(201).json(contest);
+    res.json({ success: true });
   } catch (error) {
-    console.error('Error creating contest:', error);
-    res.status(500).json({ error: 'Failed to create contest' });
+    console.error('Error deleting entry:', error);
+    res.status(500).json({ error: 'Failed to delete entry' });
   }
 });
 
-// Get single contest
-app.get('/api/contests/:slug', (req, res) => {
+// Admin: Dismiss an entry's duplicate flags once its photos have been checked
+app.delete('/api/contests/:slug/admin/entries/:entryId/flags', (req, res) => {
   try {
-    const contest = getContestWithPhase(req.params.slug);
-    if (!contest) {
-      return res.status(404).json({ error: 'Contest not found' });
+    const { contest } = req;
+    
+    const entry = db.prepare('SELECT * FROM entries WHERE id = ? AND contest_id = ?').get(req.params.entryId, contest.id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Entry not found' });
     }
     
-    delete contest.admin_pin_hash;
+    db.prepare('DELETE FROM duplicate_flags WHERE entry_id = ?').run(entry.id);
     
-    // Get entry count
-    const entryCount = db.prepare('SELECT COUNT(*) as count FROM entries WHERE contest_id = ?').get(contest.id);
-    contest.entry_count = entryCount.count;
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error dismissing duplicate flags:', error);
+    res.status(500).json({ error: 'Failed to dismiss flags' });
+  }
+});
+
+// Admin: Get entries with names (for admin view during any phase)
+app.get('/api/contests/:slug/admin/entries', (req, res) => {
+  try {
+    const { contest } = req;
     
-    res.json(contest);
+    const entries = withTeam(contest.id, withMedia(contest.id, db.prepare('SELECT * FROM entries WHERE contest_id = ? ORDER BY created_at ASC').all(contest.id)));
+    res.json(withDuplicateFlags(contest.id, entries).map(publicEntry));
   } catch (error) {
-    console.error('Error fetching contest:', error);
-    res.status(500).json({ error: 'Failed to fetch contest' });
+    console.error('Error fetching admin entries:', error);
+    res.status(500).json({ error: 'Failed to fetch entries' });
   }
 });
 
-// Get entries for a contest
-app.get('/api/contests/:slug/entries', (req, res) => {
+// Admin: Get roster with participation (never how anyone voted)
+app.get('/api/contests/:slug/admin/roster', (req, res) => {
   try {
-    const contest = getContestWithPhase(req.params.slug);
-    if (!contest) {
-      return res.status(404).json({ error: 'Contest not found' });
-    }
+    const { contest } = req;
     
-    const entries = db.prepare('SELECT * FROM entries WHERE contest_id = ? ORDER BY created_at ASC').all(contest.id);
+    const members = db.prepare(`
+      SELECT m.id, m.name, m.invite_code, m.group_id, m.created_at,
+        (EXISTS(SELECT 1 FROM votes v WHERE v.contest_id = m.contest_id AND v.voter_id = 'member_' || m.id)
+          OR EXISTS(SELECT 1 FROM pairwise_votes p WHERE p.contest_id = m.contest_id AND p.voter_id = 'member_' || m.id)
+          OR EXISTS(SELECT 1 FROM bracket_votes b WHERE b.contest_id = m.contest_id AND b.voter_id = 'member_' || m.id)) as has_voted,
+        (EXISTS(SELECT 1 FROM entries e WHERE e.contest_id = m.contest_id AND e.voter_id = 'member_' || m.id)
+          OR EXISTS(SELECT 1 FROM entry_team_members t JOIN entries e ON e.id = t.entry_id
+            WHERE e.contest_id = m.contest_id AND t.voter_id = 'member_' || m.id)) as has_submitted
+      FROM roster_members m
+      WHERE m.contest_id = ?
+      ORDER BY m.name COLLATE NOCASE
+    `).all(contest.id);
     
-    // In submission phase, hide names (anonymous until results)
-    // In voting phase, hide names (anonymous)
-    // In results phase, show everything including votes
+    res.json(members.map(m => ({ ...m, has_voted: Boolean(m.has_voted), has_submitted: Boolean(m.has_submitted) })));
+  } catch (error) {
+    console.error('Error fetching roster:', error);
+    res.status(500).json({ error: 'Failed to fetch roster' });
+  }
+});
+
+// Admin: Add roster member
+app.post('/api/contests/:slug/admin/roster/members', (req, res) => {
+  try {
+    const { contest } = req;
+    const { name } = req.body;
     
-    if (contest.current_phase === 'submission') {
-      // Only send count, no image data - keep entries completely hidden
-      return res.json({ entries: [], entryCount: entries.length, phase: contest.current_phase });
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'Name is required' });
     }
     
-    if (contest.current_phase === 'voting') {
-      // Shuffle entries and hide names
-      const shuffled = entries
-        .map(e => ({ ...e, sortKey: Math.random() }))
-        .sort((a, b) => a.sortKey - b.sortKey)
-        .map(({ sortKey, name, ...rest }) => rest);
-      return res.json({ entries: shuffled, phase: contest.current_phase });
+    if (!hasRoster(contest.id) && (contest.current_phase !== 'submission' || hasBallots(contest.id))) {
+      return res.status(400).json({ error: 'A roster can only be started before voting opens' });
     }
     
-    if (contest.current_phase === 'results') {
-      // Calculate votes for each entry
-      const entriesWithVotes = entries.map(entry => {
-        const votes = db.prepare(`
-          SELECT rank, COUNT(*) as count 
-          FROM votes 
-          WHERE entry_id = ? 
-          GROUP BY rank
-        `).all(entry.id);
-        
-        // Calculate score: 1st = 3 points, 2nd = 2 points, 3rd = 1 point
-        let score = 0;
-        let voteBreakdown = { first: 0, second: 0, third: 0 };
-        votes.forEach(v => {
-          if (v.rank === 1) { score += 3; voteBreakdown.first = v.count; }
-          if (v.rank === 2) { score += 2; voteBreakdown.second = v.count; }
-          if (v.rank === 3) { score += 1; voteBreakdown.third = v.count; }
-        });
-        
-        return { ...entry, score, voteBreakdown };
-      });
-      
-      // Sort by score descending
-      entriesWithVotes.sort((a, b) => b.score - a.score);
-      
-      return res.json({ entries: entriesWithVotes, phase: contest.current_phase });
+    const existing = db.prepare('SELECT id FROM roster_members WHERE contest_id = ? AND LOWER(name) = LOWER(?)').get(contest.id, name.trim());
+    if (existing) {
+      return res.status(400).json({ error: 'This person is already on the roster' });
     }
     
-    // Fallback (shouldn't reach here normally)
-    res.json({ entries, phase: contest.current_phase });
+    let inviteCode = generateInviteCode();
+    while (db.prepare('SELECT id FROM roster_members WHERE invite_code = ?').get(inviteCode)) {
+      inviteCode = generateInviteCode();
+    }
+    
+    const result = db.prepare('INSERT INTO roster_members (contest_id, name, invite_code) VALUES (?, ?, ?)')
+      .run(contest.id, name.trim(), inviteCode);
+    
+    const member = db.prepare('SELECT id, name, invite_code, group_id, created_at FROM roster_members WHERE id = ?').get(result.lastInsertRowid);
+    res.status(201).json({ ...member, has_voted: false, has_submitted: false });
   } catch (error) {
-    console.error('Error fetching entries:', error);
-    res.status(500).json({ error: 'Failed to fetch entries' });
+    console.error('Error adding roster member:', error);
+    res.status(500).json({ error: 'Failed to add roster member' });
   }
 });
 
-// Submit entry
-app.post('/api/contests/:slug/entries', upload.single('image'), (req, res) => {
+// Admin: Remove roster member (and their ballot)
+app.delete('/api/contests/:slug/admin/roster/members/:memberId', (req, res) => {
   try {
-    const contest = getContestWithPhase(req.params.slug);
-    if (!contest) {
-      if (req.file) fs.unlinkSync(path.join(UPLOADS_DIR, req.file.filename));
-      return res.status(404).json({ error: 'Contest not found' });
-    }
+    const { contest } = req;
     
-    if (contest.current_phase !== 'submission') {
-      if (req.file) fs.unlinkSync(path.join(UPLOADS_DIR, req.file.filename));
-      return res.status(400).json({ error: 'Submissions are closed for this contest' });
+    const member = db.prepare('SELECT * FROM roster_members WHERE id = ? AND contest_id = ?').get(req.params.memberId, contest.id);
+    if (!member) {
+      return res.status(404).json({ error: 'Roster member not found' });
     }
     
-    const { name } = req.body;
-    if (!name || !req.file) {
-      if (req.file) fs.unlinkSync(path.join(UPLOADS_DIR, req.file.filename));
-      return res.status(400).json({ error: 'Name and image are required' });
-    }
+    db.transaction(() => {
+      db.prepare('DELETE FROM votes WHERE contest_id = ? AND voter_id = ?').run(contest.id, `member_${member.id}`);
+      db.prepare('DELETE FROM pairwise_votes WHERE contest_id = ? AND voter_id = ?').run(contest.id, `member_${member.id}`);
+      db.prepare('DELETE FROM bracket_votes WHERE contest_id = ? AND voter_id = ?').run(contest.id, `member_${member.id}`);
+      db.prepare('DELETE FROM guesses WHERE contest_id = ? AND voter_id = ?').run(contest.id, `member_${member.id}`);
+      db.prepare('DELETE FROM roster_members WHERE id = ?').run(member.id);
+    })();
     
-    // Check for duplicate name
-    const existing = db.prepare('SELECT id FROM entries WHERE contest_id = ? AND LOWER(name) = LOWER(?)').get(contest.id, name);
-    if (existing) {
-      fs.unlinkSync(path.join(UPLOADS_DIR, req.file.filename));
-      return res.status(400).json({ error: 'An entry with this name already exists' });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error removing roster member:', error);
+    res.status(500).json({ error: 'Failed to remove roster member' });
+  }
+});
+
+// Admin: Move a roster member into a voting group (or out of one with a null groupId)
+app.put('/api/contests/:slug/admin/roster/members/:memberId', (req, res) => {
+  try {
+    const { contest } = req;
+    const { groupId } = req.body;
+    
+    const member = db.prepare('SELECT * FROM roster_members WHERE id = ? AND contest_id = ?').get(req.params.memberId, contest.id);
+    if (!member) {
+      return res.status(404).json({ error: 'Roster member not found' });
     }
     
-    const result = db.prepare(`
-      INSERT INTO entries (contest_id, name, image_filename)
-      VALUES (?, ?, ?)
-    `).run(contest.id, name.trim(), req.file.filename);
+    if (groupId != null && !db.prepare('SELECT id FROM voter_groups WHERE id = ? AND contest_id = ?').get(groupId, contest.id)) {
+      return res.status(400).json({ error: 'Invalid voting group' });
+    }
     
-    const entry = db.prepare('SELECT * FROM entries WHERE id = ?').get(result.lastInsertRowid);
-    res.status(201).json(entry);
+    db.prepare('UPDATE roster_members SET group_id = ? WHERE id = ?').run(groupId ?? null, member.id);
+    res.json({ success: true });
   } catch (error) {
-    console.error('Error creating entry:', error);
-    if (req.file) {
-      try { fs.unlinkSync(path.join(UPLOADS_DIR, req.file.filename)); } catch (e) {}
-    }
-    res.status(500).json({ error: 'Failed to create entry' });
+    console.error('Error updating roster member:', error);
+    res.status(500).json({ error: 'Failed to update roster member' });
   }
 });
 
-// Submit votes
-app.post('/api/contests/:slug/votes', (req, res) => {
+// Admin: Get voting groups with their member counts
+app.get('/api/contests/:slug/admin/groups', (req, res) => {
   try {
-    const contest = getContestWithPhase(req.params.slug);
-    if (!contest) {
-      return res.status(404).json({ error: 'Contest not found' });
-    }
+    const { contest } = req;
     
-    if (contest.current_phase !== 'voting') {
-      return res.status(400).json({ error: 'Voting is not open for this contest' });
-    }
+    const groups = db.prepare(`
+      SELECT g.id, g.name, g.weight,
+        (SELECT COUNT(*) FROM roster_members m WHERE m.group_id = g.id) as member_count
+      FROM voter_groups g
+      WHERE g.contest_id = ?
+      ORDER BY g.name COLLATE NOCASE
+    `).all(contest.id);
     
-    const { voterId, votes } = req.body;
-    // votes should be an array like [{ entryId: 1, rank: 1 }, { entryId: 2, rank: 2 }]
+    res.json(groups);
+  } catch (error) {
+    console.error('Error fetching voting groups:', error);
+    res.status(500).json({ error: 'Failed to fetch voting groups' });
+  }
+});
+
+// Admin: Add voting group
+app.post('/api/contests/:slug/admin/groups/add', (req, res) => {
+  try {
+    const { contest } = req;
+    const { name, weight = 1 } = req.body;
     
-    if (!voterId || !votes || !Array.isArray(votes)) {
-      return res.status(400).json({ error: 'Invalid vote data' });
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'Group name is required' });
     }
     
-    if (votes.length > 3) {
-      return res.status(400).json({ error: 'You can only vote for up to 3 entries' });
+    const groupWeight = validateGroupWeight(weight);
+    if (groupWeight.error) {
+      return res.status(400).json({ error: groupWeight.error });
     }
     
-    // Validate ranks and entries
-    const ranks = new Set();
-    const entryIds = new Set();
-    for (const vote of votes) {
-      if (vote.rank < 1 || vote.rank > 3) {
-        return res.status(400).json({ error: 'Invalid rank value' });
-      }
-      if (ranks.has(vote.rank)) {
-        return res.status(400).json({ error: 'Duplicate rank' });
-      }
-      if (entryIds.has(vote.entryId)) {
-        return res.status(400).json({ error: 'Cannot vote for the same entry twice' });
-      }
-      ranks.add(vote.rank);
-      entryIds.add(vote.entryId);
-      
-      // Verify entry exists in this contest
-      const entry = db.prepare('SELECT id FROM entries WHERE id = ? AND contest_id = ?').get(vote.entryId, contest.id);
-      if (!entry) {
-        return res.status(400).json({ error: 'Invalid entry' });
-      }
+    const groupCount = db.prepare('SELECT COUNT(*) as count FROM voter_groups WHERE contest_id = ?').get(contest.id).count;
+    if (groupCount >= MAX_VOTER_GROUPS) {
+      return res.status(400).json({ error: `A contest can have at most ${MAX_VOTER_GROUPS} voting groups` });
     }
     
-    // Delete any existing votes from this voter
-    db.prepare('DELETE FROM votes WHERE contest_id = ? AND voter_id = ?').run(contest.id, voterId);
-    
-    // Insert new votes
-    const insertVote = db.prepare('INSERT INTO votes (contest_id, voter_id, entry_id, rank) VALUES (?, ?, ?, ?)');
-    for (const vote of votes) {
-      insertVote.run(contest.id, voterId, vote.entryId, vote.rank);
+    const existing = db.prepare('SELECT id FROM voter_groups WHERE contest_id = ? AND LOWER(name) = LOWER(?)').get(contest.id, name.trim());
+    if (existing) {
+      return res.status(400).json({ error: 'A group with this name already exists' });
     }
     
-    res.json({ success: true, message: 'Votes recorded successfully' });
+    const result = db.prepare('INSERT INTO voter_groups (contest_id, name, weight) VALUES (?, ?, ?)')
+      .run(contest.id, name.trim(), groupWeight.value);
+    
+    const group = db.prepare('SELECT id, name, weight FROM voter_groups WHERE id = ?').get(result.lastInsertRowid);
+    res.status(201).json({ ...group, member_count: 0 });
   } catch (error) {
-    console.error('Error recording votes:', error);
-    res.status(500).json({ error: 'Failed to record votes' });
+    console.error('Error adding voting group:', error);
+    res.status(500).json({ error: 'Failed to add voting group' });
   }
 });
 
-// Get voter's existing votes
-app.get('/api/contests/:slug/votes/:voterId', (req, res) => {
+// Admin: Change a voting group's weight
+app.put('/api/contests/:slug/admin/groups/:groupId', (req, res) => {
   try {
-    const contest = getContestWithPhase(req.params.slug);
-    if (!contest) {
-      return res.status(404).json({ error: 'Contest not found' });
+    const { contest } = req;
+    const { weight } = req.body;
+    
+    const group = db.prepare('SELECT * FROM voter_groups WHERE id = ? AND contest_id = ?').get(req.params.groupId, contest.id);
+    if (!group) {
+      return res.status(404).json({ error: 'Voting group not found' });
     }
     
-    const votes = db.prepare(`
-      SELECT entry_id as entryId, rank 
-      FROM votes 
-      WHERE contest_id = ? AND voter_id = ?
-    `).all(contest.id, req.params.voterId);
+    const groupWeight = validateGroupWeight(weight);
+    if (groupWeight.error) {
+      return res.status(400).json({ error: groupWeight.error });
+    }
     
-    res.json(votes);
+    db.prepare('UPDATE voter_groups SET weight = ? WHERE id = ?').run(groupWeight.value, group.id);
+    res.json({ success: true });
   } catch (error) {
-    console.error('Error fetching votes:', error);
-    res.status(500).json({ error: 'Failed to fetch votes' });
+    console.error('Error updating voting group:', error);
+    res.status(500).json({ error: 'Failed to update voting group' });
   }
 });
 
-// Admin: Verify PIN
-app.post('/api/contests/:slug/admin/verify', (req, res) => {
+// Admin: Delete voting group; its members go back to counting once
+app.delete('/api/contests/:slug/admin/groups/:groupId', (req, res) => {
   try {
-    const contest = db.prepare('SELECT * FROM contests WHERE slug = ?').get(req.params.slug);
-    if (!contest) {
-      return res.status(404).json({ error: 'Contest not found' });
-    }
+    const { contest } = req;
     
-    const { pin } = req.body;
-    if (!pin) {
-      return res.status(400).json({ error: 'PIN required' });
+    const group = db.prepare('SELECT * FROM voter_groups WHERE id = ? AND contest_id = ?').get(req.params.groupId, contest.id);
+    if (!group) {
+      return res.status(404).json({ error: 'Voting group not found' });
     }
     
-    const pinHash = hashPin(pin);
-    if (pinHash !== contest.admin_pin_hash) {
-      return res.status(401).json({ error: 'Invalid PIN' });
-    }
+    db.transaction(() => {
+      db.prepare('UPDATE roster_members SET group_id = NULL WHERE group_id = ?').run(group.id);
+      db.prepare('DELETE FROM voter_groups WHERE id = ?').run(group.id);
+    })();
     
     res.json({ success: true });
   } catch (error) {
-    console.error('Error verifying PIN:', error);
-    res.status(500).json({ error: 'Failed to verify PIN' });
+    console.error('Error deleting voting group:', error);
+    res.status(500).json({ error: 'Failed to delete voting group' });
   }
 });
 
-// Admin: Update contest
-app.put('/api/contests/:slug/admin', (req, res) => {
+// Admin: Get judges with their scoring progress
+app.get('/api/contests/:slug/admin/judges', (req, res) => {
   try {
-    const contest = db.prepare('SELECT * FROM contests WHERE slug = ?').get(req.params.slug);
-    if (!contest) {
-      return res.status(404).json({ error: 'Contest not found' });
-    }
+    const { contest } = req;
     
-    const { pin, submissionDeadline, votingDeadline, currentPhase } = req.body;
+    const judges = db.prepare(`
+      SELECT j.id, j.name, j.judge_code, j.created_at,
+        (SELECT COUNT(DISTINCT s.entry_id) FROM judge_scores s WHERE s.judge_id = j.id) as scored_entries
+      FROM judges j
+      WHERE j.contest_id = ?
+      ORDER BY j.name COLLATE NOCASE
+    `).all(contest.id);
     
-    // Verify PIN
-    const pinHash = hashPin(pin);
-    if (pinHash !== contest.admin_pin_hash) {
-      return res.status(401).json({ error: 'Invalid PIN' });
+    res.json(judges);
+  } catch (error) {
+    console.error('Error fetching judges:', error);
+    res.status(500).json({ error: 'Failed to fetch judges' });
+  }
+});
+
+// Admin: Add judge
+app.post('/api/contests/:slug/admin/judges/add', (req, res) => {
+  try {
+    const { contest } = req;
+    const { name } = req.body;
+    
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'Name is required' });
     }
     
-    // Update fields
-    if (submissionDeadline && votingDeadline) {
-      const subDeadline = new Date(submissionDeadline);
-      const voteDeadline = new Date(votingDeadline);
-      
-      if (subDeadline >= voteDeadline) {
-        return res.status(400).json({ error: 'Voting deadline must be after submission deadline' });
-      }
-      
-      db.prepare('UPDATE contests SET submission_deadline = ?, voting_deadline = ? WHERE id = ?')
-        .run(submissionDeadline, votingDeadline, contest.id);
+    const existing = db.prepare('SELECT id FROM judges WHERE contest_id = ? AND LOWER(name) = LOWER(?)').get(contest.id, name.trim());
+    if (existing) {
+      return res.status(400).json({ error: 'This judge has already been added' });
     }
     
-    if (currentPhase && ['submission', 'voting', 'results'].includes(currentPhase)) {
-      db.prepare('UPDATE contests SET current_phase = ? WHERE id = ?').run(currentPhase, contest.id);
+    let judgeCode = generateInviteCode();
+    while (db.prepare('SELECT id FROM judges WHERE judge_code = ?').get(judgeCode)) {
+      judgeCode = generateInviteCode();
     }
     
-    const updated = db.prepare('SELECT * FROM contests WHERE id = ?').get(contest.id);
-    delete updated.admin_pin_hash;
+    const result = db.prepare('INSERT INTO judges (contest_id, name, judge_code) VALUES (?, ?, ?)')
+      .run(contest.id, name.trim(), judgeCode);
     
-    res.json(updated);
+    const judge = db.prepare('SELECT id, name, judge_code, created_at FROM judges WHERE id = ?').get(result.lastInsertRowid);
+    res.status(201).json({ ...judge, scored_entries: 0 });
   } catch (error) {
-    console.error('Error updating contest:', error);
-    res.status(500).json({ error: 'Failed to update contest' });
+    console.error('Error adding judge:', error);
+    res.status(500).json({ error: 'Failed to add judge' });
   }
 });
 
-// Admin: Delete entry
-app.delete('/api/contests/:slug/admin/entries/:entryId', (req, res) => {
+// Admin: Remove judge (and their scores)
+app.delete('/api/contests/:slug/admin/judges/:judgeId', (req, res) => {
   try {
-    const contest = db.prepare('SELECT * FROM contests WHERE slug = ?').get(req.params.slug);
-    if (!contest) {
-      return res.status(404).json({ error: 'Contest not found' });
-    }
-    
-    const { pin } = req.body;
-    const pinHash = hashPin(pin);
-    if (pinHash !== contest.admin_pin_hash) {
-      return res.status(401).json({ error: 'Invalid PIN' });
-    }
+    const { contest } = req;
     
-    const entry = db.prepare('SELECT * FROM entries WHERE id = ? AND contest_id = ?').get(req.params.entryId, contest.id);
-    if (!entry) {
-      return res.status(404).json({ error: 'Entry not found' });
-    }
-    
-    // Delete image file
-    try {
-      fs.unlinkSync(path.join(UPLOADS_DIR, entry.image_filename));
-    } catch (e) {
-      console.warn('Could not delete image file:', e.message);
+    const judge = db.prepare('SELECT * FROM judges WHERE id = ? AND contest_id = ?').get(req.params.judgeId, contest.id);
+    if (!judge) {
+      return res.status(404).json({ error: 'Judge not found' });
     }
     
-    // Delete votes for this entry
-    db.prepare('DELETE FROM votes WHERE entry_id = ?').run(entry.id);
-    
-    // Delete entry
-    db.prepare('DELETE FROM entries WHERE id = ?').run(entry.id);
+    db.transaction(() => {
+      db.prepare('DELETE FROM judge_scores WHERE judge_id = ?').run(judge.id);
+      db.prepare('DELETE FROM judges WHERE id = ?').run(judge.id);
+    })();
     
     res.json({ success: true });
   } catch (error) {
-    console.error('Error deleting entry:', error);
-    res.status(500).json({ error: 'Failed to delete entry' });
+    console.error('Error removing judge:', error);
+    res.status(500).json({ error: 'Failed to remove judge' });
   }
 });
 
-// Admin: Get entries with names (for admin view during any phase)
-app.post('/api/contests/:slug/admin/entries', (req, res) => {
+// Admin: Close the current bracket round now instead of waiting for its deadline
+app.post('/api/contests/:slug/admin/bracket/close-round', (req, res) => {
   try {
-    const contest = db.prepare('SELECT * FROM contests WHERE slug = ?').get(req.params.slug);
-    if (!contest) {
-      return res.status(404).json({ error: 'Contest not found' });
-    }
+    const contest = updateContestPhase(req.contest);
     
-    const { pin } = req.body;
-    const pinHash = hashPin(pin);
-    if (pinHash !== contest.admin_pin_hash) {
-      return res.status(401).json({ error: 'Invalid PIN' });
+    if (contest.voting_mode !== 'bracket' || contest.current_phase !== 'voting') {
+      return res.status(400).json({ error: 'There is no bracket round in progress' });
     }
     
-    const entries = db.prepare('SELECT * FROM entries WHERE contest_id = ? ORDER BY created_at ASC').all(contest.id);
-    res.json(entries);
+    db.prepare('UPDATE bracket_rounds SET deadline = ? WHERE contest_id = ? AND round = ?')
+      .run(new Date().toISOString(), contest.id, contest.current_round);
+    advanceBracket(contest);
+    
+    delete contest.admin_pin_hash;
+    delete contest.recovery_code_hash;
+    res.json(contest);
   } catch (error) {
-    console.error('Error fetching admin entries:', error);
-    res.status(500).json({ error: 'Failed to fetch entries' });
+    console.error('Error closing bracket round:', error);
+    res.status(500).json({ error: 'Failed to close the round' });
   }
 });
 
@@ -575,15 +3105,75 @@ if (process.env.NODE_ENV === 'production') {
 app.use((err, req, res, next) => {
   if (err instanceof multer.MulterError) {
     if (err.code === 'LIMIT_FILE_SIZE') {
-      return res.status(400).json({ error: `File too large. Maximum size is ${MAX_FILE_SIZE / 1024 / 1024}MB` });
+      return res.status(400).json({ error: `File too large. Photos can be up to ${MAX_FILE_SIZE / 1024 / 1024}MB and videos up to ${MAX_VIDEO_SIZE / 1024 / 1024}MB` });
+    }
+    if (err.code === 'LIMIT_UNEXPECTED_FILE') {
+      return res.status(400).json({ error: `You can upload up to ${MAX_ENTRY_MEDIA} photos or videos per entry` });
     }
   }
   console.error('Unhandled error:', err);
   res.status(500).json({ error: err.message || 'Internal server error' });
 });
 
-app.listen(PORT, () => {
-  console.log(`🎃 Family Contest server running on port ${PORT}`);
-  console.log(`   Timezone: ${process.env.TZ || 'UTC'}`);
-  console.log(`   Max file size: ${MAX_FILE_SIZE / 1024 / 1024}MB`);
-});
+// Uploads stored by older versions still carry their original metadata (GPS
+// location, camera, timestamps). Clean them once, before anything is served.
+// Photos are converted the same way new uploads are.
+async function stripLegacyUploads() {
+  const pending = db.prepare('SELECT * FROM entry_images WHERE metadata_stripped = 0').all();
+  if (pending.length === 0) return;
+  console.log(`Removing metadata from ${pending.length} older upload(s)...`);
+  
+  const renameCover = db.prepare('UPDATE entries SET image_filename = ? WHERE id = ? AND image_filename = ?');
+  for (const item of pending) {
+    try {
+      let { filename, poster_filename: poster } = item;
+      if (item.media_type === 'video') {
+        await stripVideoMetadata(path.join(UPLOADS_DIR, filename));
+        if (poster) {
+          const processed = await processImage(UPLOADS_DIR, poster, 'image/jpeg');
+          renameCover.run(processed, item.entry_id, poster);
+          poster = processed;
+        }
+      } else {
+        const processed = await processImage(UPLOADS_DIR, filename, null);
+        renameCover.run(processed, item.entry_id, filename);
+        filename = processed;
+      }
+      db.prepare('UPDATE entry_images SET filename = ?, poster_filename = ?, metadata_stripped = 1 WHERE id = ?')
+        .run(filename, poster, item.id);
+    } catch (error) {
+      console.warn(`Could not remove metadata from ${item.filename}:`, error.message);
+    }
+  }
+}
+
+// Photos stored before duplicate detection have no perceptual hash yet
+async function hashLegacyUploads() {
+  const pending = db.prepare('SELECT * FROM entry_images WHERE phash IS NULL').all();
+  if (pending.length === 0) return;
+  console.log(`Hashing ${pending.length} older upload(s) for duplicate detection...`);
+  
+  for (const item of pending) {
+    const still = item.media_type === 'video' ? item.poster_filename : item.filename;
+    if (!still) continue;
+    try {
+      const phash = await perceptualHash(path.join(UPLOADS_DIR, still));
+      db.prepare('UPDATE entry_images SET phash = ? WHERE id = ?').run(phash, item.id);
+    } catch (error) {
+      console.warn(`Could not hash ${still}:`, error.message);
+    }
+  }
+}
+
+// The upload clean-ups are worth finishing before serving, but a failure in
+// them shouldn't keep the server from starting
+stripLegacyUploads()
+  .then(hashLegacyUploads)
+  .catch(error => console.error('Error preparing older uploads:', error))
+  .then(() => {
+    app.listen(PORT, () => {
+      console.log(`🎃 Family Contest server running on port ${PORT}`);
+      console.log(`   Timezone: ${process.env.TZ || 'UTC'}`);
+      console.log(`   Max file size: ${MAX_FILE_SIZE / 1024 / 1024}MB (videos ${MAX_VIDEO_SIZE / 1024 / 1024}MB)`);
+    });
+  });
@@ -0,0 +1,97 @@
+import { roundName, getEntryMedia, imageUrl, formatMakers } from '../utils/api';
+
+function BracketSlot({ entry, votes, isWinner, isDecided, onImageClick }) {
+  if (!entry) {
+    return (
+      <div className="flex items-center gap-2 px-2 py-1.5 text-sm text-gray-400 italic">
+        {isDecided ? 'Bye' : 'To be decided'}
+      </div>
+    );
+  }
+
+  return (
+    <div className={`flex items-center gap-2 px-2 py-1.5 text-sm ${isWinner ? 'bg-sage-50 font-semibold text-gray-800' : isDecided ? 'text-gray-400' : 'text-gray-700'}`}>
+      <button
+        onClick={() => onImageClick?.(getEntryMedia(entry))}
+        className="w-8 h-8 flex-shrink-0 rounded overflow-hidden bg-gray-100"
+      >
+        <img
+          src={imageUrl(entry.image_filename, 'thumb')}
+          alt={entry.name || `Seed ${entry.seed}`}
+          className="w-full h-full object-cover"
+        />
+      </button>
+      <span className="flex-1 truncate">
+        {entry.name ? formatMakers(entry) : entry.title || `Seed ${entry.seed}`}
+        {entry.isOwn && <span className="ml-1 text-xs text-sage-600">(yours)</span>}
+      </span>
+      {votes !== null && <span className="text-xs text-gray-500">{votes}</span>}
+      {isWinner && <span>✅</span>}
+    </div>
+  );
+}
+
+// The whole bracket, one column per round. Rounds that haven't been drawn yet
+// show empty slots so the shape of the tournament is visible from the start.
+function BracketView({ bracket, onImageClick }) {
+  if (!bracket || bracket.totalRounds === 0) return null;
+
+  const rounds = Array.from({ length: bracket.totalRounds }, (_, i) => {
+    const round = i + 1;
+    const drawn = bracket.rounds.find(r => r.round === round);
+    const matchCount = 2 ** (bracket.totalRounds - round);
+    return {
+      round,
+      matches: Array.from({ length: matchCount }, (_, position) =>
+        drawn?.matches.find(m => m.position === position) || { id: `${round}-${position}`, entryA: null, entryB: null, winnerId: null }
+      )
+    };
+  });
+
+  return (
+    <div className="card p-6">
+      <h2 className="font-display text-xl font-bold text-gray-800 mb-4">
+        The Bracket
+      </h2>
+      <div className="overflow-x-auto">
+        <div className="flex gap-4 min-w-max">
+          {rounds.map(({ round, matches }) => (
+            <div key={round} className="w-52 flex flex-col">
+              <h3 className={`text-sm font-semibold mb-2 ${round === bracket.currentRound ? 'text-warm-600' : 'text-gray-500'}`}>
+                {roundName(round, bracket.totalRounds)}
+              </h3>
+              <div className="flex-1 flex flex-col justify-around gap-3">
+                {matches.map(match => {
+                  const isDecided = match.winnerId !== null;
+                  return (
+                    <div key={match.id} className="border border-warm-100 rounded-lg overflow-hidden divide-y divide-warm-100 bg-white">
+                      <BracketSlot
+                        entry={match.entryA}
+                        votes={match.votesA ?? null}
+                        isWinner={isDecided && match.winnerId === match.entryA?.id}
+                        isDecided={isDecided}
+                        onImageClick={onImageClick}
+                      />
+                      <BracketSlot
+                        entry={match.entryB}
+                        votes={match.votesB ?? null}
+                        isWinner={isDecided && match.winnerId === match.entryB?.id}
+                        isDecided={isDecided}
+                        onImageClick={onImageClick}
+                      />
+                      {match.decidedBy === 'seed' && (
+                        <p className="px-2 py-1 text-xs text-gray-400">Tied, so the higher seed goes through</p>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default BracketView;
@@ -0,0 +1,155 @@
+import { useState, useEffect, useCallback } from 'react';
+import { fetchBracket, submitBracketVotes, getVoterId, getTimeRemaining, roundName, getEntryMedia } from '../utils/api';
+import BracketView from './BracketView';
+import EntryCover from './EntryCover';
+import Lightbox from './Lightbox';
+
+function BracketVotingPhase({ contest, onBracketFinished }) {
+  const [bracket, setBracket] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [timeRemaining, setTimeRemaining] = useState(null);
+  const [lightboxMedia, setLightboxMedia] = useState(null);
+
+  const voterId = getVoterId(contest.slug);
+
+  const loadBracket = useCallback(async () => {
+    try {
+      setLoading(true);
+      const data = await fetchBracket(contest.slug, voterId);
+      setBracket(data);
+      if (data.currentRound > data.totalRounds) {
+        onBracketFinished();
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [contest.slug, voterId, onBracketFinished]);
+
+  useEffect(() => {
+    loadBracket();
+  }, [loadBracket]);
+
+  const currentRound = bracket?.rounds.find(r => r.round === bracket.currentRound);
+
+  // Count down to the end of the round, and fetch the next round once it closes
+  useEffect(() => {
+    if (!currentRound) return;
+
+    const updateTimer = () => {
+      const remaining = getTimeRemaining(currentRound.deadline);
+      setTimeRemaining(remaining);
+      if (!remaining) {
+        loadBracket();
+      }
+    };
+
+    updateTimer();
+    const interval = setInterval(updateTimer, 30000);
+
+    return () => clearInterval(interval);
+  }, [currentRound, loadBracket]);
+
+  async function handlePick(match, entry) {
+    try {
+      setError(null);
+      await submitBracketVotes(contest.slug, voterId, [{ matchId: match.id, entryId: entry.id }]);
+      setBracket(prev => ({ ...prev, myPicks: { ...prev.myPicks, [match.id]: entry.id } }));
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  if (!bracket) {
+    return loading ? null : (
+      <div className="card p-6 bg-red-50 border border-red-200 text-red-700">{error}</div>
+    );
+  }
+
+  // Byes are settled in the draw, so only real matchups need a vote
+  const openMatches = currentRound ? currentRound.matches.filter(m => m.entryB && m.winnerId === null) : [];
+
+  return (
+    <div className="space-y-6">
+      {/* Round Instructions */}
+      <div className="card p-6">
+        <h2 className="font-display text-xl font-bold text-gray-800 mb-2">
+          {currentRound ? `${roundName(currentRound.round, bracket.totalRounds)}: Pick the Winners` : 'The Bracket Is Complete'}
+        </h2>
+        <p className="text-gray-600">
+          Vote for your favorite in each matchup. Winners go through to the next round when this round closes.
+          You can change a pick until then.
+        </p>
+        {timeRemaining && (
+          <p className="text-sm text-warm-600 font-medium mt-2">
+            ⏰ {timeRemaining} in this round
+          </p>
+        )}
+
+        {error && (
+          <div className="mt-3 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-xl">
+            {error}
+          </div>
+        )}
+      </div>
+
+      {/* Current Round Matchups */}
+      {openMatches.map(match => {
+        const isOwnMatch = match.entryA.isOwn || match.entryB.isOwn;
+        return (
+          <div key={match.id} className="card p-4">
+            <div className="grid grid-cols-2 gap-4">
+              {[match.entryA, match.entryB].map(entry => {
+                const isPicked = bracket.myPicks[match.id] === entry.id;
+                return (
+                  <div key={entry.id} className={`rounded-xl overflow-hidden border-2 ${isPicked ? 'border-warm-400' : 'border-transparent'}`}>
+                    <EntryCover
+                      entry={entry}
+                      alt={`Seed ${entry.seed}`}
+                      className="w-full aspect-square overflow-hidden bg-gray-100"
+                      imgClassName="w-full h-full object-cover hover:scale-105 transition-transform duration-300"
+                      onOpen={() => setLightboxMedia(getEntryMedia(entry))}
+                    >
+                      {entry.isOwn && (
+                        <div className="absolute bottom-2 left-2 right-2 bg-sage-600/90 text-white text-sm font-semibold text-center px-2 py-1 rounded-lg">
+                          Your entry
+                        </div>
+                      )}
+                    </EntryCover>
+                    {entry.title && (
+                      <p className="px-2 pt-2 font-display font-semibold text-gray-800 truncate">{entry.title}</p>
+                    )}
+                    {!isOwnMatch && (
+                      <div className="p-2">
+                        <button
+                          onClick={() => handlePick(match, entry)}
+                          className={`w-full ${isPicked ? 'btn-primary' : 'btn-outline'}`}
+                        >
+                          {isPicked ? '✅ Your pick' : 'Pick this one'}
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+            {isOwnMatch && (
+              <p className="mt-3 text-sm text-center text-gray-400">You can't vote in a matchup with your own entry</p>
+            )}
+          </div>
+        );
+      })}
+
+      <BracketView bracket={bracket} onImageClick={setLightboxMedia} />
+
+      {/* Lightbox */}
+      {lightboxMedia && (
+        <Lightbox media={lightboxMedia} onClose={() => setLightboxMedia(null)} />
+      )}
+    </div>
+  );
+}
+
+export default BracketVotingPhase;
@@ -0,0 +1,45 @@
+import { getEntryMedia } from '../utils/api';
+
+// An entry's cover in a gallery card. A photo opens the lightbox when tapped; a
+// video plays in place, with a button to open the lightbox for the rest of the
+// entry's media. Children are drawn on top, e.g. badges.
+function EntryCover({ entry, alt, className = '', imgClassName = '', onOpen, children }) {
+  const [cover] = getEntryMedia(entry);
+
+  if (cover.type === 'video') {
+    return (
+      <div className={`relative ${className}`}>
+        <video
+          src={cover.url}
+          poster={cover.mediumUrl}
+          controls
+          playsInline
+          preload="none"
+          className="w-full h-full object-cover"
+          aria-label={alt}
+        />
+        {children}
+        <button
+          onClick={onOpen}
+          className="absolute top-2 left-1/2 -translate-x-1/2 bg-black/60 text-white text-xs font-semibold px-2 py-1 rounded-lg hover:bg-black/80"
+        >
+          ⤢ Full screen
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <button onClick={onOpen} className={`relative ${className}`}>
+      <img
+        src={cover.mediumUrl}
+        alt={alt}
+        className={imgClassName}
+        loading="lazy"
+      />
+      {children}
+    </button>
+  );
+}
+
+export default EntryCover;
@@ -0,0 +1,68 @@
+import { useState } from 'react';
+import { verifyInviteCode } from '../utils/api';
+
+function InviteCodeForm({ contest, onVerified }) {
+  const [code, setCode] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setError(null);
+    
+    if (!code.trim()) {
+      setError('Please enter your invite code');
+      return;
+    }
+    
+    try {
+      setLoading(true);
+      const member = await verifyInviteCode(contest.slug, code.trim());
+      onVerified(member);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  return (
+    <div className="card p-6 max-w-md mx-auto">
+      <div className="text-center mb-6">
+        <div className="text-4xl mb-2">🎟️</div>
+        <h2 className="font-display text-xl font-bold text-gray-800">
+          Invite Only
+        </h2>
+        <p className="text-gray-600 mt-1">
+          This contest is limited to the family roster. Enter the invite code from your organizer, or open your personal invite link.
+        </p>
+      </div>
+      
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-xl mb-4">
+          {error}
+        </div>
+      )}
+      
+      <form onSubmit={handleSubmit}>
+        <label htmlFor="inviteCode" className="label">Invite Code</label>
+        <input
+          type="text"
+          id="inviteCode"
+          value={code}
+          onChange={(e) => setCode(e.target.value.toUpperCase())}
+          placeholder="e.g., K7QM2X"
+          className="input mb-4 font-mono tracking-widest uppercase"
+          maxLength={6}
+          autoFocus
+          disabled={loading}
+        />
+        <button type="submit" disabled={loading} className="btn-primary w-full">
+          {loading ? 'Checking...' : 'Join Contest'}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default InviteCodeForm;
@@ -0,0 +1,163 @@
+import { useState, useEffect } from 'react';
+import { fetchJudgeScores, submitJudgeScores, getEntryMedia } from '../utils/api';
+import EntryCover from './EntryCover';
+import Lightbox from './Lightbox';
+
+function JudgingPhase({ contest, entries, judge }) {
+  const [scores, setScores] = useState({}); // { `${entryId}:${criterionId}`: score }
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(false);
+  const [lightboxMedia, setLightboxMedia] = useState(null);
+
+  const criteria = contest.criteria;
+
+  useEffect(() => {
+    // Pick up where this judge left off
+    fetchJudgeScores(contest.slug, judge.judgeCode)
+      .then(saved => {
+        setScores(Object.fromEntries(saved.map(s => [`${s.entryId}:${s.criterionId}`, s.score])));
+      })
+      .catch(() => {});
+  }, [contest.slug, judge.judgeCode]);
+
+  function handleScore(entryId, criterionId, score) {
+    setScores(prev => ({ ...prev, [`${entryId}:${criterionId}`]: score }));
+    setSuccess(false);
+  }
+
+  function isFullyScored(entryId) {
+    return criteria.every(c => scores[`${entryId}:${c.id}`]);
+  }
+
+  async function handleSubmit() {
+    const scoreList = Object.entries(scores).map(([key, score]) => {
+      const [entryId, criterionId] = key.split(':').map(Number);
+      return { entryId, criterionId, score };
+    });
+    
+    if (scoreList.length === 0) {
+      setError('Please score at least one entry');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+      await submitJudgeScores(contest.slug, judge.judgeCode, scoreList);
+      setSuccess(true);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  const scoredCount = entries.filter(e => isFullyScored(e.id)).length;
+
+  return (
+    <div className="space-y-6">
+      {/* Judging Instructions */}
+      <div className="card p-6">
+        <h2 className="font-display text-xl font-bold text-gray-800 mb-2">
+          Judge's Scorecard
+        </h2>
+        <p className="text-gray-600">
+          Score every entry on each criterion. Tap an entry to view it full-size. You can save as you go and change your scores until judging closes.
+        </p>
+        <p className="text-sm text-gray-500 mt-2">
+          {scoredCount} of {entries.length} {entries.length === 1 ? 'entry' : 'entries'} fully scored
+        </p>
+        
+        {success && (
+          <div className="mt-3 bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-xl flex items-center gap-2">
+            <span className="text-xl">✅</span>
+            <span>Your scores have been saved!</span>
+          </div>
+        )}
+        
+        {error && (
+          <div className="mt-3 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-xl">
+            {error}
+          </div>
+        )}
+      </div>
+
+      {/* Entry Scorecards */}
+      {entries.length === 0 ? (
+        <div className="card p-8 text-center">
+          <p className="text-gray-500">No entries to judge.</p>
+        </div>
+      ) : (
+        <div className="grid sm:grid-cols-2 gap-4">
+          {entries.map((entry, index) => (
+            <div
+              key={entry.id}
+              className={`card overflow-hidden ${isFullyScored(entry.id) ? 'ring-4 ring-sage-300 ring-offset-2' : ''}`}
+            >
+              <div className="relative">
+                <EntryCover
+                  entry={entry}
+                  alt={`Entry #${index + 1}`}
+                  className="w-full aspect-video overflow-hidden bg-gray-100"
+                  imgClassName="w-full h-full object-cover hover:scale-105 transition-transform duration-300"
+                  onOpen={() => setLightboxMedia(getEntryMedia(entry))}
+                />
+                <div className="absolute top-2 left-2 bg-black/60 text-white text-sm font-bold px-2 py-1 rounded-lg">
+                  #{index + 1}
+                </div>
+              </div>
+              
+              <div className="p-4 space-y-3">
+                {entry.title && (
+                  <p className="font-display font-semibold text-gray-800 truncate">{entry.title}</p>
+                )}
+                {criteria.map(criterion => (
+                  <div key={criterion.id}>
+                    <label htmlFor={`score-${entry.id}-${criterion.id}`} className="flex justify-between text-sm font-medium text-gray-700 mb-1">
+                      <span>{criterion.name}</span>
+                      <span className="text-gray-400 font-normal">1–{criterion.max_score}</span>
+                    </label>
+                    <select
+                      id={`score-${entry.id}-${criterion.id}`}
+                      value={scores[`${entry.id}:${criterion.id}`] || ''}
+                      onChange={(e) => handleScore(entry.id, criterion.id, Number(e.target.value))}
+                      className="input py-2"
+                    >
+                      <option value="" disabled>Not scored</option>
+                      {Array.from({ length: criterion.max_score }, (_, i) => i + 1).map(score => (
+                        <option key={score} value={score}>{score}</option>
+                      ))}
+                    </select>
+                  </div>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {entries.length > 0 && (
+        <button
+          onClick={handleSubmit}
+          disabled={loading}
+          className="btn-primary w-full"
+        >
+          {loading ? 'Saving...' : (
+            <>
+              <span className="mr-2">📋</span>
+              Save Scores
+            </>
+          )}
+        </button>
+      )}
+
+      {/* Lightbox */}
+      {lightboxMedia && (
+        <Lightbox media={lightboxMedia} onClose={() => setLightboxMedia(null)} />
+      )}
+    </div>
+  );
+}
+
+export default JudgingPhase;
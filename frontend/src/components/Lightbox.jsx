@@ -0,0 +1,84 @@
+import { useState, useEffect } from 'react';
+
+// Full-screen viewer for an entry's photos and clips (items from getEntryMedia).
+// With more than one item it becomes a carousel: arrow buttons, arrow keys and a counter.
+function Lightbox({ media, startIndex = 0, onClose }) {
+  const [index, setIndex] = useState(startIndex);
+  const hasMany = media.length > 1;
+  const item = media[index];
+
+  function step(delta) {
+    setIndex(prev => (prev + delta + media.length) % media.length);
+  }
+
+  useEffect(() => {
+    function handleKey(e) {
+      if (e.key === 'Escape') onClose();
+      if (e.key === 'ArrowLeft') setIndex(prev => (prev - 1 + media.length) % media.length);
+      if (e.key === 'ArrowRight') setIndex(prev => (prev + 1) % media.length);
+    }
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, [media.length, onClose]);
+
+  return (
+    <div
+      className="fixed inset-0 z-50 bg-black/90 flex items-center justify-center p-4"
+      onClick={onClose}
+    >
+      <button
+        onClick={onClose}
+        className="absolute top-4 right-4 text-white text-4xl hover:opacity-70"
+      >
+        ×
+      </button>
+
+      {hasMany && (
+        <button
+          onClick={(e) => { e.stopPropagation(); step(-1); }}
+          className="absolute left-4 top-1/2 -translate-y-1/2 text-white text-5xl hover:opacity-70"
+          aria-label="Previous photo"
+        >
+          ‹
+        </button>
+      )}
+
+      {item.type === 'video' ? (
+        <video
+          key={item.url}
+          src={item.url}
+          poster={item.posterUrl}
+          controls
+          autoPlay
+          playsInline
+          className="max-w-full max-h-full"
+          onClick={(e) => e.stopPropagation()}
+        />
+      ) : (
+        <img
+          src={item.url}
+          alt={hasMany ? `Photo ${index + 1} of ${media.length}` : 'Full size view'}
+          className="max-w-full max-h-full object-contain"
+          onClick={(e) => e.stopPropagation()}
+        />
+      )}
+
+      {hasMany && (
+        <>
+          <button
+            onClick={(e) => { e.stopPropagation(); step(1); }}
+            className="absolute right-4 top-1/2 -translate-y-1/2 text-white text-5xl hover:opacity-70"
+            aria-label="Next photo"
+          >
+            ›
+          </button>
+          <div className="absolute bottom-4 left-1/2 -translate-x-1/2 text-white text-sm bg-black/60 px-3 py-1 rounded-full">
+            {index + 1} / {media.length}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default Lightbox;
@@ -0,0 +1,124 @@
+import { useState, useEffect, useCallback } from 'react';
+import { fetchNextPair, submitPairwiseVote, getVoterId, getEntryMedia } from '../utils/api';
+import EntryCover from './EntryCover';
+import Lightbox from './Lightbox';
+
+function PairwiseVotingPhase({ contest, entries }) {
+  const [pair, setPair] = useState(null);
+  const [progress, setProgress] = useState({ comparedCount: 0, pairCount: 0 });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [lightboxMedia, setLightboxMedia] = useState(null);
+
+  const voterId = getVoterId(contest.slug);
+
+  const loadNextPair = useCallback(async () => {
+    try {
+      setLoading(true);
+      const data = await fetchNextPair(contest.slug, voterId);
+      setPair(data.pair && data.pair.map(id => entries.find(e => e.id === id)));
+      setProgress({ comparedCount: data.comparedCount, pairCount: data.pairCount });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [contest.slug, voterId, entries]);
+
+  useEffect(() => {
+    loadNextPair();
+  }, [loadNextPair]);
+
+  async function handlePick(winner, loser) {
+    try {
+      setError(null);
+      setLoading(true);
+      await submitPairwiseVote(contest.slug, voterId, winner.id, loser.id);
+      await loadNextPair();
+    } catch (err) {
+      setError(err.message);
+      setLoading(false);
+    }
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Voting Instructions */}
+      <div className="card p-6">
+        <h2 className="font-display text-xl font-bold text-gray-800 mb-2">
+          Which Do You Like More?
+        </h2>
+        <p className="text-gray-600">
+          Pick your favorite of each pair. Do as many as you like; every pick helps rank the entries.
+        </p>
+        {progress.pairCount > 0 && (
+          <div className="mt-3">
+            <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+              <div
+                className="h-full bg-warm-400 transition-all"
+                style={{ width: `${Math.round((progress.comparedCount / progress.pairCount) * 100)}%` }}
+              />
+            </div>
+            <p className="text-sm text-gray-500 mt-1">
+              {progress.comparedCount} of {progress.pairCount} pairs compared
+            </p>
+          </div>
+        )}
+        
+        {error && (
+          <div className="mt-3 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-xl">
+            {error}
+          </div>
+        )}
+      </div>
+
+      {/* Current Pair */}
+      {!pair && !loading ? (
+        <div className="card p-8 text-center">
+          <div className="text-5xl mb-4">🎉</div>
+          <h3 className="font-display text-xl font-bold text-gray-800 mb-2">
+            {progress.comparedCount > 0 ? "You've compared every pair!" : 'Nothing to compare yet'}
+          </h3>
+          <p className="text-gray-600">
+            {progress.comparedCount > 0
+              ? 'Thanks for voting. Results are revealed when voting closes.'
+              : 'There need to be at least two entries you can vote on.'}
+          </p>
+        </div>
+      ) : pair && (
+        <div className={`grid grid-cols-2 gap-4 transition-opacity ${loading ? 'opacity-50 pointer-events-none' : ''}`}>
+          {pair.map((entry, index) => (
+            <div key={entry.id} className="card overflow-hidden">
+              <EntryCover
+                entry={entry}
+                alt={index === 0 ? 'Left entry' : 'Right entry'}
+                className="w-full aspect-square overflow-hidden bg-gray-100"
+                imgClassName="w-full h-full object-cover hover:scale-105 transition-transform duration-300"
+                onOpen={() => setLightboxMedia(getEntryMedia(entry))}
+              />
+              <div className="p-3">
+                {entry.title && (
+                  <p className="font-display font-semibold text-gray-800 truncate mb-2">{entry.title}</p>
+                )}
+                <button
+                  onClick={() => handlePick(entry, pair[1 - index])}
+                  disabled={loading}
+                  className="btn-primary w-full"
+                >
+                  {index === 0 ? '👈 This one' : 'This one 👉'}
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Lightbox */}
+      {lightboxMedia && (
+        <Lightbox media={lightboxMedia} onClose={() => setLightboxMedia(null)} />
+      )}
+    </div>
+  );
+}
+
+export default PairwiseVotingPhase;
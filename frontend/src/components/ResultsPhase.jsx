@@ -1,4 +1,7 @@
 import { useState, useEffect } from 'react';
+import { SCORING_METHODS, getRankConfig, getEntryMedia, imageUrl, formatMakers } from '../utils/api';
+import EntryCover from './EntryCover';
+import Lightbox from './Lightbox';
 
 function Confetti() {
   const [pieces, setPieces] = useState([]);
@@ -52,9 +55,99 @@ function Trophy({ place }) {
   return config[place] || null;
 }
 
-function ResultsPhase({ contest, entries }) {
+function ScoringExplanation({ scoring }) {
+  if (scoring.method === 'rubric') {
+    return (
+      <p>
+        Judged by {scoring.judgeCount} {scoring.judgeCount === 1 ? 'judge' : 'judges'}. Each criterion is averaged across the judges and the averages are added up:{' '}
+        {scoring.criteria.map(c => `${c.name} (1–${c.max_score})`).join(' • ')}
+      </p>
+    );
+  }
+  
+  if (scoring.method === 'bracket') {
+    return (
+      <p>
+        Decided by a {scoring.totalRounds}-round knockout bracket. Entries are placed by how many rounds they won, with byes counting as wins.
+      </p>
+    );
+  }
+  
+  if (scoring.method === 'bradleyTerry') {
+    return (
+      <p>
+        Rated from {scoring.comparisonCount} head-to-head {scoring.comparisonCount === 1 ? 'pick' : 'picks'} using the Bradley–Terry model, on an Elo-style scale where 1500 is average.
+      </p>
+    );
+  }
+  
+  if (scoring.method === 'borda') {
+    const weights = scoring.weights.slice(0, scoring.maxPicks);
+    return (
+      <p>
+        Scoring: {weights.map((points, index) => {
+          const config = getRankConfig(index + 1);
+          return `${config.emoji} ${config.label} choice = ${points} ${points === 1 ? 'point' : 'points'}`;
+        }).join(' • ')}
+      </p>
+    );
+  }
+  
+  const method = SCORING_METHODS[scoring.method];
+  return <p>Scoring ({method.label}): {method.description}</p>;
+}
+
+// What each entry's score is made of: votes per rank, head-to-head record, bracket run, or judges' criterion averages
+function scoreBreakdown(entry) {
+  if (entry.bracket) {
+    return [
+      { key: 'rounds', icon: '🏅', label: 'Rounds won', value: entry.bracket.roundsAdvanced, textColor: 'text-sage-700' },
+      { key: 'votes', icon: '🗳️', label: 'Bracket votes', value: entry.bracket.votesReceived, textColor: 'text-gray-500' }
+    ];
+  }
+  if (entry.record) {
+    return [
+      { key: 'wins', icon: '✅', label: 'Picks won', value: entry.record.wins, textColor: 'text-sage-700' },
+      { key: 'losses', icon: '➖', label: 'Picks lost', value: entry.record.losses, textColor: 'text-gray-500' }
+    ];
+  }
+  if (entry.criteriaAverages) {
+    return entry.criteriaAverages.map(c => ({ key: c.criterionId, icon: c.name, label: `${c.name} avg`, value: c.average, textColor: 'text-sage-700' }));
+  }
+  return entry.voteBreakdown.map((count, index) => {
+    const config = getRankConfig(index + 1);
+    return { key: index, icon: config.emoji, label: `${config.label} votes`, value: count, textColor: config.textColor };
+  });
+}
+
+// "Kids" becomes "Kids' Choice", "Grandma" becomes "Grandma's Choice"
+function choiceLabel(groupName) {
+  return groupName.endsWith('s') ? `${groupName}' Choice` : `${groupName}'s Choice`;
+}
+
+// The maker's own words about their entry, revealed with their name. clamp
+// keeps it to a few lines in the smaller cards.
+function MakerNote({ note, clamp = false }) {
+  return (
+    <p className={`mt-1 text-sm text-gray-600 whitespace-pre-line ${clamp ? 'line-clamp-3' : ''}`}>
+      📝 {note}
+    </p>
+  );
+}
+
+function ResultsPhase({ contest, entries, standings, groupStandings = [], divisionStandings = [], guessLeaderboard = [], scoring = { method: 'borda', weights: [3, 2, 1], maxPicks: 3 } }) {
   const [showConfetti, setShowConfetti] = useState(true);
-  const [lightboxImage, setLightboxImage] = useState(null);
+  const [lightboxMedia, setLightboxMedia] = useState(null);
+  const [activeCategoryId, setActiveCategoryId] = useState(standings?.[0]?.categoryId);
+  const [activeGroupId, setActiveGroupId] = useState(null);
+
+  // Voting groups have their own standings alongside the overall (weighted) results
+  const activeGroup = groupStandings.find(g => g.groupId === activeGroupId);
+  const poolStandings = activeGroup ? activeGroup.standings : standings;
+
+  // Contests with award categories have one set of standings per category
+  const categoryStandings = poolStandings?.filter(s => s.name) || [];
+  const activeStanding = categoryStandings.find(s => s.categoryId === activeCategoryId) || categoryStandings[0];
 
   useEffect(() => {
     // Show confetti on first load
@@ -76,59 +169,115 @@ function ResultsPhase({ contest, entries }) {
     );
   }
 
-  // Entries should already be sorted by score from the API
-  const winner = entries[0];
-  const runnerUps = entries.slice(1, 3);
-  const otherEntries = entries.slice(3);
+  // Entries are already sorted and placed by the API; tied entries share a place
+  const ranked = activeStanding ? activeStanding.entries : activeGroup ? activeGroup.standings[0].entries : entries;
+  const winners = ranked.filter(e => e.place === 1);
+  const runnerUps = ranked.filter(e => e.place > 1 && e.place <= 3);
+  const otherEntries = ranked.filter(e => e.place > 3);
+  const isSharedPlace = entry => ranked.filter(e => e.place === entry.place).length > 1;
+  const scoreUnit = { rubric: 'points', bradleyTerry: 'rating', bracket: 'rounds won' }[scoring.method] || SCORING_METHODS[scoring.method].unit;
 
   return (
     <div className="space-y-8">
       {showConfetti && <Confetti />}
       
+      {/* Voting Group Tabs */}
+      {groupStandings.length > 0 && (
+        <div className="flex flex-wrap justify-center gap-2">
+          <button
+            onClick={() => setActiveGroupId(null)}
+            className={`btn-sm ${!activeGroup ? 'btn-secondary' : 'btn-ghost'}`}
+          >
+            👨‍👩‍👧 Overall
+          </button>
+          {groupStandings.map(group => (
+            <button
+              key={group.groupId}
+              onClick={() => setActiveGroupId(group.groupId)}
+              className={`btn-sm ${group === activeGroup ? 'btn-secondary' : 'btn-ghost'}`}
+            >
+              {choiceLabel(group.name)}
+            </button>
+          ))}
+        </div>
+      )}
+      
+      {/* Category Tabs */}
+      {categoryStandings.length > 0 && (
+        <div className="flex flex-wrap justify-center gap-2">
+          {categoryStandings.map(standing => (
+            <button
+              key={standing.categoryId}
+              onClick={() => setActiveCategoryId(standing.categoryId)}
+              className={`btn-sm ${standing === activeStanding ? 'btn-primary' : 'btn-outline'}`}
+            >
+              🏆 {standing.name}
+            </button>
+          ))}
+        </div>
+      )}
+      
       {/* Winner Section */}
       <div className="card overflow-hidden">
         <div className="bg-gradient-to-b from-amber-100 via-amber-50 to-white p-6 sm:p-8 text-center">
           <div className="text-6xl mb-4 animate-bounce-slow">🏆</div>
           <h2 className="font-display text-2xl sm:text-3xl font-bold text-amber-800 mb-2">
-            Winner!
+            {activeStanding && `${activeStanding.name} `}{winners.length > 1 ? "It's a Tie!" : 'Winner!'}
           </h2>
-          <p className="text-amber-700 font-display text-xl">{winner.name}</p>
+          {activeGroup && (
+            <p className="text-sm text-amber-700 mb-1">{choiceLabel(activeGroup.name)}: only votes from this group count here</p>
+          )}
+          <p className="text-amber-700 font-display text-xl">{winners.map(formatMakers).join(' & ')}</p>
         </div>
         
-        <div className="p-4">
-          <button
-            onClick={() => setLightboxImage(`/uploads/${winner.image_filename}`)}
-            className="w-full aspect-video sm:aspect-[4/3] rounded-2xl overflow-hidden bg-gray-100 shadow-lg hover:shadow-xl transition-shadow"
-          >
-            <img
-              src={`/uploads/${winner.image_filename}`}
-              alt={`Winner: ${winner.name}`}
-              className="w-full h-full object-contain"
-            />
-          </button>
-          
-          <div className="mt-4 flex justify-center gap-6 text-center">
-            <div>
-              <div className="text-2xl font-bold text-amber-600">{winner.score}</div>
-              <div className="text-sm text-gray-500">points</div>
-            </div>
-            <div className="border-l border-gray-200" />
-            <div>
-              <div className="text-2xl font-bold text-amber-600">{winner.voteBreakdown.first}</div>
-              <div className="text-sm text-gray-500">1st votes</div>
-            </div>
-            <div className="border-l border-gray-200" />
-            <div>
-              <div className="text-2xl font-bold text-gray-600">{winner.voteBreakdown.second}</div>
-              <div className="text-sm text-gray-500">2nd votes</div>
-            </div>
-            <div className="border-l border-gray-200" />
-            <div>
-              <div className="text-2xl font-bold text-orange-600">{winner.voteBreakdown.third}</div>
-              <div className="text-sm text-gray-500">3rd votes</div>
+        <div className={`p-4 grid gap-6 ${winners.length > 1 ? 'sm:grid-cols-2' : ''}`}>
+          {winners.map(winner => (
+            <div key={winner.id}>
+              <EntryCover
+                entry={winner}
+                alt={`Winner: ${formatMakers(winner)}`}
+                className="w-full aspect-video sm:aspect-[4/3] rounded-2xl overflow-hidden bg-gray-100 shadow-lg hover:shadow-xl transition-shadow"
+                imgClassName="w-full h-full object-contain"
+                onOpen={() => setLightboxMedia(getEntryMedia(winner))}
+              >
+                {winner.media?.length > 1 && (
+                  <span className="absolute bottom-2 right-2 bg-black/60 text-white text-xs font-semibold px-2 py-1 rounded-lg pointer-events-none">
+                    📷 {winner.media.length}
+                  </span>
+                )}
+              </EntryCover>
+              
+              {(winner.title || winner.maker_note) && (
+                <div className="mt-4 text-center">
+                  {winner.title && <p className="font-display text-lg font-semibold text-gray-800">{winner.title}</p>}
+                  {winner.maker_note && <MakerNote note={winner.maker_note} />}
+                </div>
+              )}
+              
+              <div className="mt-4 flex flex-wrap justify-center gap-6 text-center">
+                <div>
+                  <div className="text-2xl font-bold text-amber-600">{winner.score}</div>
+                  <div className="text-sm text-gray-500">{scoreUnit}</div>
+                </div>
+                {scoreBreakdown(winner).map(item => (
+                  <div key={item.key} className="flex gap-6">
+                    <div className="border-l border-gray-200" />
+                    <div>
+                      <div className={`text-2xl font-bold ${item.textColor}`}>{item.value}</div>
+                      <div className="text-sm text-gray-500">{item.label}</div>
+                    </div>
+                  </div>
+                ))}
+              </div>
             </div>
-          </div>
+          ))}
         </div>
+        
+        {winners.length === 1 && winners[0].tieBreak && (
+          <p className="px-4 pb-4 text-center text-sm text-gray-500">
+            ⚖️ Won on a tie-break: {winners[0].tieBreak.explanation}
+          </p>
+        )}
       </div>
 
       {/* Runner Ups */}
@@ -138,35 +287,86 @@ function ResultsPhase({ contest, entries }) {
             Runners Up
           </h3>
           <div className="grid sm:grid-cols-2 gap-4">
-            {runnerUps.map((entry, index) => {
-              const place = index + 2;
-              const trophy = Trophy({ place });
+            {runnerUps.map(entry => {
+              const trophy = Trophy({ place: entry.place });
               
               return (
                 <div key={entry.id} className={`card overflow-hidden ${trophy.bgColor}`}>
                   <div className="p-4 text-center">
                     <div className={`text-4xl mb-2 ${trophy.color}`}>{trophy.emoji}</div>
-                    <div className="font-display font-bold text-gray-700">{trophy.label}</div>
-                    <div className="text-lg font-medium text-gray-800 mt-1">{entry.name}</div>
+                    <div className="font-display font-bold text-gray-700">
+                      {isSharedPlace(entry) ? `Tied ${trophy.label}` : trophy.label}
+                    </div>
+                    <div className="text-lg font-medium text-gray-800 mt-1">{formatMakers(entry)}</div>
+                    {entry.title && <div className="text-sm text-gray-600 italic">{entry.title}</div>}
                   </div>
                   
-                  <button
-                    onClick={() => setLightboxImage(`/uploads/${entry.image_filename}`)}
+                  <EntryCover
+                    entry={entry}
+                    alt={`${trophy.label}: ${formatMakers(entry)}`}
                     className="w-full aspect-square overflow-hidden bg-white/50"
-                  >
-                    <img
-                      src={`/uploads/${entry.image_filename}`}
-                      alt={`${trophy.label}: ${entry.name}`}
-                      className="w-full h-full object-cover hover:scale-105 transition-transform duration-300"
-                    />
-                  </button>
+                    imgClassName="w-full h-full object-cover hover:scale-105 transition-transform duration-300"
+                    onOpen={() => setLightboxMedia(getEntryMedia(entry))}
+                  />
                   
-                  <div className="p-4 bg-white/80 flex justify-center gap-4 text-sm">
-                    <span><strong>{entry.score}</strong> pts</span>
-                    <span>🥇 {entry.voteBreakdown.first}</span>
-                    <span>🥈 {entry.voteBreakdown.second}</span>
-                    <span>🥉 {entry.voteBreakdown.third}</span>
+                  <div className="p-4 bg-white/80 flex flex-wrap justify-center gap-4 text-sm">
+                    <span><strong>{entry.score}</strong> {scoreUnit}</span>
+                    {scoreBreakdown(entry).map(item => (
+                      <span key={item.key}>{item.icon} {item.value}</span>
+                    ))}
                   </div>
+                  {entry.maker_note && (
+                    <div className="px-4 pb-4 bg-white/80">
+                      <MakerNote note={entry.maker_note} />
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
+      {/* Division Podiums */}
+      {divisionStandings.length > 0 && (
+        <div>
+          <h3 className="font-display text-xl font-bold text-gray-800 mb-4 text-center">
+            Division Podiums
+          </h3>
+          <div className="grid sm:grid-cols-2 gap-4">
+            {divisionStandings.map(division => {
+              const podium = division.entries.filter(e => e.place <= 3);
+              return (
+                <div key={division.divisionId} className="card overflow-hidden">
+                  <div className="p-4 bg-gray-50 border-b border-gray-200">
+                    <h4 className="font-display font-bold text-gray-800">{division.name}</h4>
+                  </div>
+                  {podium.length === 0 ? (
+                    <p className="p-4 text-sm text-gray-500">No entries in this division</p>
+                  ) : (
+                    <div className="divide-y divide-gray-100">
+                      {podium.map(entry => (
+                        <div key={entry.id} className="flex items-center gap-3 p-3">
+                          <span className="text-2xl">{Trophy({ place: entry.place }).emoji}</span>
+                          <button
+                            onClick={() => setLightboxMedia(getEntryMedia(entry))}
+                            className="w-10 h-10 flex-shrink-0 rounded-lg overflow-hidden bg-gray-100"
+                          >
+                            <img
+                              src={imageUrl(entry.image_filename, 'thumb')}
+                              alt={`Entry by ${formatMakers(entry)}`}
+                              className="w-full h-full object-cover"
+                            />
+                          </button>
+                          <div className="flex-1 min-w-0">
+                            <p className="font-medium text-gray-800 truncate">{formatMakers(entry)}</p>
+                            {entry.title && <p className="text-sm text-gray-600 italic truncate">{entry.title}</p>}
+                          </div>
+                          <span className="text-sm text-gray-500">{entry.score} {scoreUnit}</span>
+                        </div>
+                      ))}
+                    </div>
+                  )}
                 </div>
               );
             })}
@@ -183,23 +383,22 @@ function ResultsPhase({ contest, entries }) {
           <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 gap-4">
             {otherEntries.map((entry, index) => (
               <div key={entry.id} className="card overflow-hidden">
-                <button
-                  onClick={() => setLightboxImage(`/uploads/${entry.image_filename}`)}
+                <EntryCover
+                  entry={entry}
+                  alt={`Entry by ${formatMakers(entry)}`}
                   className="w-full aspect-square overflow-hidden bg-gray-100"
-                >
-                  <img
-                    src={`/uploads/${entry.image_filename}`}
-                    alt={`Entry by ${entry.name}`}
-                    className="w-full h-full object-cover hover:scale-105 transition-transform duration-300"
-                  />
-                </button>
+                  imgClassName="w-full h-full object-cover hover:scale-105 transition-transform duration-300"
+                  onOpen={() => setLightboxMedia(getEntryMedia(entry))}
+                />
                 <div className="p-3">
-                  <p className="font-medium text-gray-800 truncate">{entry.name}</p>
+                  <p className="font-medium text-gray-800 truncate">{formatMakers(entry)}</p>
+                  {entry.title && <p className="text-sm text-gray-600 italic truncate">{entry.title}</p>}
+                  {entry.maker_note && <MakerNote note={entry.maker_note} clamp />}
                   <p className="text-sm text-gray-500">
-                    {entry.score} pts
-                    {entry.voteBreakdown.first > 0 && ` • 🥇${entry.voteBreakdown.first}`}
-                    {entry.voteBreakdown.second > 0 && ` • 🥈${entry.voteBreakdown.second}`}
-                    {entry.voteBreakdown.third > 0 && ` • 🥉${entry.voteBreakdown.third}`}
+                    {entry.score} {scoreUnit}
+                    {scoreBreakdown(entry).map(item => (
+                      item.value > 0 && ` • ${item.icon} ${item.value}`
+                    ))}
                   </p>
                 </div>
               </div>
@@ -214,22 +413,28 @@ function ResultsPhase({ contest, entries }) {
           <h3 className="font-display font-bold text-gray-800">Full Leaderboard</h3>
         </div>
         <div className="divide-y divide-gray-100">
-          {entries.map((entry, index) => (
+          {ranked.map((entry, index) => (
             <div key={entry.id} className="flex items-center gap-4 p-4">
               <div className={`w-8 h-8 rounded-full flex items-center justify-center font-bold text-sm
-                ${index === 0 ? 'bg-amber-400 text-amber-900' : 
-                  index === 1 ? 'bg-gray-300 text-gray-700' :
-                  index === 2 ? 'bg-orange-300 text-orange-800' :
+                ${entry.place === 1 ? 'bg-amber-400 text-amber-900' : 
+                  entry.place === 2 ? 'bg-gray-300 text-gray-700' :
+                  entry.place === 3 ? 'bg-orange-300 text-orange-800' :
                   'bg-gray-100 text-gray-600'}`}>
-                {index + 1}
+                {entry.place}
               </div>
               <div className="flex-1 min-w-0">
-                <p className="font-medium text-gray-800 truncate">{entry.name}</p>
+                <p className="font-medium text-gray-800 truncate">
+                  {formatMakers(entry)}
+                  {entry.title && <span className="font-normal text-gray-500"> · {entry.title}</span>}
+                </p>
+                {entry.tieBreak && (
+                  <p className="text-xs text-gray-500">⚖️ {entry.tieBreak.explanation}</p>
+                )}
               </div>
               <div className="text-right">
-                <div className="font-bold text-gray-800">{entry.score} pts</div>
+                <div className="font-bold text-gray-800">{entry.score} {scoreUnit}</div>
                 <div className="text-xs text-gray-500">
-                  {entry.voteBreakdown.first}·{entry.voteBreakdown.second}·{entry.voteBreakdown.third}
+                  {scoreBreakdown(entry).map(item => item.value).join('·')}
                 </div>
               </div>
             </div>
@@ -237,30 +442,53 @@ function ResultsPhase({ contest, entries }) {
         </div>
       </div>
 
+      {/* Guess Who Made It Leaderboard */}
+      {guessLeaderboard.length > 0 && (
+        <div className="card overflow-hidden">
+          <div className="p-4 bg-gray-50 border-b border-gray-200">
+            <h3 className="font-display font-bold text-gray-800">🕵️ Best Guessers</h3>
+            <p className="text-xs text-gray-500">Who guessed the most makers right</p>
+          </div>
+          <div className="divide-y divide-gray-100">
+            {guessLeaderboard.map((guesser, index) => (
+              <div key={index} className="flex items-center gap-4 p-4">
+                <div className={`w-8 h-8 rounded-full flex items-center justify-center font-bold text-sm
+                  ${guesser.place === 1 ? 'bg-amber-400 text-amber-900' : 'bg-gray-100 text-gray-600'}`}>
+                  {guesser.place}
+                </div>
+                <p className="flex-1 min-w-0 font-medium text-gray-800 truncate">{guesser.name}</p>
+                <div className="text-right">
+                  <div className="font-bold text-gray-800">{guesser.correct} right</div>
+                  <div className="text-xs text-gray-500">of {guesser.guessed} guessed</div>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Scoring Explanation */}
       <div className="text-center text-sm text-gray-500">
-        <p>Scoring: 🥇 1st choice = 3 points • 🥈 2nd choice = 2 points • 🥉 3rd choice = 1 point</p>
+        <ScoringExplanation scoring={scoring} />
+        <p className="mt-1">
+          {scoring.method === 'rubric'
+            ? 'Ties are broken by the higher average on each criterion in turn. Entries still level share the place.'
+            : scoring.method === 'bradleyTerry'
+            ? 'Ties are broken by most picks won, then direct matchups. Entries still level share the place.'
+            : scoring.method === 'bracket'
+            ? 'A tied matchup goes to the higher seed. Entries knocked out in the same round share the place.'
+            : 'Ties are broken by most 1st-place votes, then most 2nd-place votes and so on, then head-to-head. Entries still level share the place.'}
+        </p>
+        {groupStandings.length > 0 && (
+          <p className="mt-1">
+            Overall results weight each vote by its voting group: {groupStandings.map(g => `${g.name} ${g.weight}x`).join(' • ')}.
+          </p>
+        )}
       </div>
 
       {/* Lightbox */}
-      {lightboxImage && (
-        <div 
-          className="fixed inset-0 z-50 bg-black/90 flex items-center justify-center p-4"
-          onClick={() => setLightboxImage(null)}
-        >
-          <button
-            onClick={() => setLightboxImage(null)}
-            className="absolute top-4 right-4 text-white text-4xl hover:opacity-70"
-          >
-            ×
-          </button>
-          <img
-            src={lightboxImage}
-            alt="Full size view"
-            className="max-w-full max-h-full object-contain"
-            onClick={(e) => e.stopPropagation()}
-          />
-        </div>
+      {lightboxMedia && (
+        <Lightbox media={lightboxMedia} onClose={() => setLightboxMedia(null)} />
       )}
     </div>
   );
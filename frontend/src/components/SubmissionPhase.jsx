@@ -1,47 +1,108 @@
-import { useState, useRef } from 'react';
-import { submitEntry } from '../utils/api';
+import { useState, useRef, useEffect } from 'react';
+import {
+  submitEntry,
+  fetchMyEntry,
+  updateMyEntry,
+  withdrawMyEntry,
+  getEditToken,
+  setEditToken,
+  getEditLink,
+  getEntryMedia,
+  formatMakers,
+  getVoterId
+} from '../utils/api';
+
+const MAX_PHOTOS = 6;
+const MAX_TEAM_MEMBERS = 8;
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/heic', 'image/heif'];
+const VIDEO_TYPES = ['video/mp4', 'video/webm', 'video/quicktime'];
 
 function SubmissionPhase({ contest, entryCount, onEntrySubmitted }) {
   const [name, setName] = useState('');
-  const [image, setImage] = useState(null);
-  const [preview, setPreview] = useState(null);
+  const [title, setTitle] = useState('');
+  const [makerNote, setMakerNote] = useState('');
+  const [team, setTeam] = useState([]); // co-creators' names
+  const [divisionId, setDivisionId] = useState('');
+  const [photos, setPhotos] = useState([]); // [{ file, preview, isVideo }]
+  const [coverIndex, setCoverIndex] = useState(0);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
-  const [success, setSuccess] = useState(false);
+  const [success, setSuccess] = useState(null);
+  const [myEntry, setMyEntry] = useState(null);
+  const [editing, setEditing] = useState(false);
   const fileInputRef = useRef(null);
+  // Contests without video limits only take photos
+  const allowsVideo = contest.video_max_seconds != null;
+  const divisions = contest.divisions || [];
+  const editToken = getEditToken(contest.slug);
+
+  // Show the entry this browser submitted, if its edit token is remembered
+  useEffect(() => {
+    if (!editToken) return;
+    fetchMyEntry(contest.slug, editToken)
+      .then(setMyEntry)
+      .catch(() => {
+        // Withdrawn, or removed by the admin
+        setEditToken(contest.slug, null);
+        setMyEntry(null);
+      });
+  }, [contest.slug, editToken]);
 
   function handleImageChange(e) {
-    const file = e.target.files[0];
-    if (!file) return;
+    const files = Array.from(e.target.files);
+    // Let the same file be picked again after it's removed
+    e.target.value = '';
+    if (files.length === 0) return;
     
-    // Check file type
-    const validTypes = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/heic', 'image/heif'];
-    if (!validTypes.includes(file.type)) {
-      setError('Please select an image file (JPEG, PNG, GIF, WebP, or HEIC)');
+    // Check file types
+    const validTypes = allowsVideo ? [...IMAGE_TYPES, ...VIDEO_TYPES] : IMAGE_TYPES;
+    if (files.some(file => !validTypes.includes(file.type))) {
+      setError(allowsVideo
+        ? 'Please select image files (JPEG, PNG, GIF, WebP, or HEIC) or video clips (MP4, WebM, or MOV)'
+        : 'Please select image files (JPEG, PNG, GIF, WebP, or HEIC)');
+      return;
+    }
+    
+    // Check file sizes (25MB per image; videos have the contest's own limit)
+    if (files.some(file => !VIDEO_TYPES.includes(file.type) && file.size > 25 * 1024 * 1024)) {
+      setError('Each image must be less than 25MB');
+      return;
+    }
+    if (files.some(file => VIDEO_TYPES.includes(file.type) && file.size > contest.video_max_mb * 1024 * 1024)) {
+      setError(`Each video must be less than ${contest.video_max_mb}MB`);
       return;
     }
     
-    // Check file size (25MB)
-    if (file.size > 25 * 1024 * 1024) {
-      setError('Image must be less than 25MB');
+    if (photos.length + files.length > MAX_PHOTOS) {
+      setError(`You can add up to ${MAX_PHOTOS} ${allowsVideo ? 'photos and videos' : 'photos'}`);
       return;
     }
     
-    setImage(file);
     setError(null);
     
-    // Create preview
-    const reader = new FileReader();
-    reader.onload = (e) => setPreview(e.target.result);
-    reader.readAsDataURL(file);
+    // Create previews; videos preview straight from the file rather than being read into memory
+    for (const file of files) {
+      if (VIDEO_TYPES.includes(file.type)) {
+        setPhotos(prev => [...prev, { file, preview: URL.createObjectURL(file), isVideo: true }]);
+        continue;
+      }
+      const reader = new FileReader();
+      reader.onload = (e) => setPhotos(prev => [...prev, { file, preview: e.target.result, isVideo: false }]);
+      reader.readAsDataURL(file);
+    }
   }
 
-  function clearImage() {
-    setImage(null);
-    setPreview(null);
-    if (fileInputRef.current) {
-      fileInputRef.current.value = '';
-    }
+  function removePhoto(index) {
+    if (photos[index].isVideo) URL.revokeObjectURL(photos[index].preview);
+    setPhotos(prev => prev.filter((_, i) => i !== index));
+    // Keep the cover on the same photo, or fall back to the first one
+    setCoverIndex(prev => (prev === index ? 0 : prev > index ? prev - 1 : prev));
+  }
+
+  function clearPhotos() {
+    photos.filter(photo => photo.isVideo).forEach(photo => URL.revokeObjectURL(photo.preview));
+    setPhotos([]);
+    setCoverIndex(0);
   }
 
   async function handleSubmit(e) {
@@ -53,8 +114,19 @@ function SubmissionPhase({ contest, entryCount, onEntrySubmitted }) {
       return;
     }
     
-    if (!image) {
-      setError('Please select an image');
+    if (divisions.length > 0 && !divisionId) {
+      setError('Please choose a division');
+      return;
+    }
+    
+    // When editing, new photos are optional and replace the current ones
+    if (photos.length === 0 && !editing) {
+      setError('Please add at least one photo');
+      return;
+    }
+    
+    if (editing) {
+      await saveChanges();
       return;
     }
     
@@ -62,12 +134,98 @@ function SubmissionPhase({ contest, entryCount, onEntrySubmitted }) {
       setLoading(true);
       const formData = new FormData();
       formData.append('name', name.trim());
-      formData.append('image', image);
+      formData.append('title', title.trim());
+      formData.append('makerNote', makerNote.trim());
+      formData.append('team', JSON.stringify(teamNames()));
+      if (divisionId) formData.append('divisionId', divisionId);
+      photos.forEach(photo => formData.append('media', photo.file));
+      formData.append('coverIndex', coverIndex);
+      // Ties the entry to the submitter's voter ID so its maker can't vote for it
+      formData.append('voterId', getVoterId(contest.slug));
       
-      await submitEntry(contest.slug, formData);
-      setSuccess(true);
+      const entry = await submitEntry(contest.slug, formData);
+      setEditToken(contest.slug, entry.editToken);
+      setMyEntry(entry);
+      setSuccess('Entry submitted successfully! Good luck!');
       setName('');
-      clearImage();
+      setTitle('');
+      setMakerNote('');
+      setTeam([]);
+      setDivisionId('');
+      clearPhotos();
+      onEntrySubmitted();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function saveChanges() {
+    try {
+      setLoading(true);
+      const formData = new FormData();
+      formData.append('editToken', editToken);
+      formData.append('name', name.trim());
+      formData.append('title', title.trim());
+      formData.append('makerNote', makerNote.trim());
+      formData.append('team', JSON.stringify(teamNames()));
+      if (divisionId) formData.append('divisionId', divisionId);
+      if (photos.length > 0) {
+        photos.forEach(photo => formData.append('media', photo.file));
+        formData.append('coverIndex', coverIndex);
+      }
+      
+      setMyEntry(await updateMyEntry(contest.slug, formData));
+      setSuccess('Your entry has been updated.');
+      stopEditing();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  function startEditing() {
+    setEditing(true);
+    setName(myEntry.name);
+    setTitle(myEntry.title || '');
+    setMakerNote(myEntry.maker_note || '');
+    setTeam(myEntry.team || []);
+    setDivisionId(myEntry.division_id ? String(myEntry.division_id) : '');
+    clearPhotos();
+    setSuccess(null);
+    setError(null);
+  }
+
+  function stopEditing() {
+    setEditing(false);
+    setName('');
+    setTitle('');
+    setMakerNote('');
+    setTeam([]);
+    setDivisionId('');
+    clearPhotos();
+  }
+
+  function teamNames() {
+    return team.map(member => member.trim()).filter(Boolean);
+  }
+
+  function updateTeamMember(index, value) {
+    setTeam(prev => prev.map((member, i) => (i === index ? value : member)));
+  }
+
+  async function handleWithdraw() {
+    if (!confirm(`Withdraw "${myEntry.name}" from the contest? Its photos will be deleted.`)) return;
+    
+    try {
+      setLoading(true);
+      await withdrawMyEntry(contest.slug, editToken);
+      setEditToken(contest.slug, null);
+      setMyEntry(null);
+      stopEditing();
+      setSuccess('Your entry has been withdrawn.');
       onEntrySubmitted();
     } catch (err) {
       setError(err.message);
@@ -76,18 +234,85 @@ function SubmissionPhase({ contest, entryCount, onEntrySubmitted }) {
     }
   }
 
+  const editLink = editToken ? getEditLink(contest.slug, editToken) : null;
+
   return (
     <div className="space-y-6">
+      {/* The visitor's own entry */}
+      {myEntry && (
+        <div className="card p-6">
+          <h2 className="font-display text-xl font-bold text-gray-800 mb-4">
+            Your Entry
+          </h2>
+          
+          <div className="flex items-center gap-4 mb-4">
+            <div className="flex gap-2 flex-shrink-0">
+              {getEntryMedia(myEntry).map((item, index) => (
+                <img
+                  key={index}
+                  src={item.thumbUrl}
+                  alt={`Photo ${index + 1}`}
+                  className="w-16 h-16 object-cover rounded-lg bg-gray-100"
+                />
+              ))}
+            </div>
+            <div className="min-w-0">
+              <p className="font-medium text-gray-800 truncate">{formatMakers(myEntry)}</p>
+              {myEntry.title && <p className="text-sm text-gray-600 italic truncate">{myEntry.title}</p>}
+            </div>
+          </div>
+          
+          <div className="bg-warm-50 rounded-2xl p-4 mb-4">
+            <p className="text-sm text-gray-500 mb-2">
+              Keep this private link to change your entry from another device:
+            </p>
+            <div className="flex items-center gap-2">
+              <input
+                type="text"
+                readOnly
+                value={editLink}
+                className="input text-sm flex-1"
+              />
+              <button
+                onClick={() => {
+                  navigator.clipboard.writeText(editLink);
+                  alert('Link copied!');
+                }}
+                className="btn-primary btn-sm flex-shrink-0"
+              >
+                Copy
+              </button>
+            </div>
+          </div>
+          
+          <div className="flex gap-2">
+            <button onClick={startEditing} disabled={loading || editing} className="btn-outline btn-sm">
+              ✏️ Edit
+            </button>
+            <button
+              onClick={handleWithdraw}
+              disabled={loading}
+              className="btn-ghost btn-sm text-red-600 hover:bg-red-50"
+            >
+              Withdraw Entry
+            </button>
+          </div>
+          <p className="text-xs text-gray-500 mt-2">
+            You can change or withdraw your entry until submissions close.
+          </p>
+        </div>
+      )}
+
       {/* Submission Form */}
       <div className="card p-6">
         <h2 className="font-display text-xl font-bold text-gray-800 mb-4">
-          Submit Your Entry
+          {editing ? 'Edit Your Entry' : myEntry ? 'Submit Another Entry' : 'Submit Your Entry'}
         </h2>
         
         {success && (
           <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-xl mb-6 flex items-center gap-2">
             <span className="text-xl">🎉</span>
-            <span>Entry submitted successfully! Good luck!</span>
+            <span>{success}</span>
           </div>
         )}
         
@@ -112,18 +337,119 @@ function SubmissionPhase({ contest, entryCount, onEntrySubmitted }) {
             />
           </div>
           
+          {divisions.length > 0 && (
+            <div>
+              <label htmlFor="division" className="label">Division</label>
+              <select
+                id="division"
+                value={divisionId}
+                onChange={(e) => setDivisionId(e.target.value)}
+                className="input"
+                disabled={loading}
+              >
+                <option value="" disabled>Choose a division</option>
+                {divisions.map(division => (
+                  <option key={division.id} value={division.id}>{division.name}</option>
+                ))}
+              </select>
+              <p className="text-xs text-gray-500 mt-1">
+                {contest.division_voting === 'within'
+                  ? 'Each division is voted on separately and gets its own podium'
+                  : 'Each division gets its own podium, as well as the overall winner'}
+              </p>
+            </div>
+          )}
+          
+          <div>
+            <span className="label">
+              Made With Others? <span className="font-normal text-gray-400">(optional)</span>
+            </span>
+            {team.map((member, index) => (
+              <div key={index} className="flex items-center gap-2 mb-2">
+                <input
+                  type="text"
+                  value={member}
+                  onChange={(e) => updateTeamMember(index, e.target.value)}
+                  placeholder="Co-creator's name"
+                  className="input"
+                  maxLength={50}
+                  disabled={loading}
+                  aria-label={`Team member ${index + 1}`}
+                />
+                <button
+                  type="button"
+                  onClick={() => setTeam(prev => prev.filter((_, i) => i !== index))}
+                  disabled={loading}
+                  className="btn-ghost btn-sm flex-shrink-0"
+                  aria-label={`Remove team member ${index + 1}`}
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+            {team.length < MAX_TEAM_MEMBERS && (
+              <button
+                type="button"
+                onClick={() => setTeam(prev => [...prev, ''])}
+                disabled={loading}
+                className="btn-outline btn-sm"
+              >
+                ➕ Add a co-creator
+              </button>
+            )}
+            <p className="text-xs text-gray-500 mt-1">
+              {contest.has_roster
+                ? "Everyone on the team is credited in the results and can't vote for this entry. Use their names as they appear on the invite list."
+                : 'Everyone on the team is credited in the results.'}
+            </p>
+          </div>
+          
+          <div>
+            <label htmlFor="title" className="label">
+              Title <span className="font-normal text-gray-400">(optional)</span>
+            </label>
+            <input
+              type="text"
+              id="title"
+              value={title}
+              onChange={(e) => setTitle(e.target.value)}
+              placeholder="e.g. The Haunted Mansion"
+              className="input"
+              maxLength={80}
+              disabled={loading}
+            />
+            <p className="text-xs text-gray-500 mt-1">Shown with your entry during voting</p>
+          </div>
+          
+          <div>
+            <label htmlFor="makerNote" className="label">
+              Maker's Note <span className="font-normal text-gray-400">(optional)</span>
+            </label>
+            <textarea
+              id="makerNote"
+              value={makerNote}
+              onChange={(e) => setMakerNote(e.target.value)}
+              placeholder="Materials, time spent, the story behind it..."
+              className="input min-h-[80px] resize-y"
+              maxLength={1000}
+              disabled={loading}
+            />
+            <p className="text-xs text-gray-500 mt-1">Revealed with your name in the results</p>
+          </div>
+          
           <div>
             <label className="label">Your Creation</label>
             <input
               ref={fileInputRef}
               type="file"
-              accept="image/*"
+              accept={allowsVideo ? `image/*,${VIDEO_TYPES.join(',')}` : 'image/*'}
+              multiple
               onChange={handleImageChange}
               className="hidden"
               disabled={loading}
             />
             
-            {!preview ? (
+            {photos.length === 0 ? (
               <button
                 type="button"
                 onClick={() => fileInputRef.current?.click()}
@@ -133,34 +459,94 @@ function SubmissionPhase({ contest, entryCount, onEntrySubmitted }) {
               >
                 <div className="text-center">
                   <div className="text-4xl mb-2">📷</div>
-                  <p className="text-gray-600 font-medium">Click to upload photo</p>
-                  <p className="text-sm text-gray-400 mt-1">JPEG, PNG, GIF, WebP up to 25MB</p>
+                  <p className="text-gray-600 font-medium">Click to upload {allowsVideo ? 'photos or videos' : 'photos'}</p>
+                  <p className="text-sm text-gray-400 mt-1">Up to {MAX_PHOTOS} photos (front, back, details...). JPEG, PNG, GIF, WebP up to 25MB each</p>
+                  {allowsVideo && (
+                    <p className="text-sm text-gray-400">
+                      Video clips: MP4, WebM or MOV, up to {contest.video_max_seconds} seconds and {contest.video_max_mb}MB
+                    </p>
+                  )}
                 </div>
               </button>
             ) : (
-              <div className="relative">
-                <img 
-                  src={preview} 
-                  alt="Preview" 
-                  className="w-full max-h-80 object-contain rounded-2xl bg-gray-100"
-                />
-                <button
-                  type="button"
-                  onClick={clearImage}
-                  className="absolute top-2 right-2 bg-red-500 text-white rounded-full p-2
-                           hover:bg-red-600 transition-colors shadow-lg"
-                >
-                  <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
-                  </svg>
-                </button>
+              <div>
+                <div className="grid grid-cols-3 gap-3">
+                  {photos.map((photo, index) => (
+                    <div
+                      key={index}
+                      className={`relative rounded-xl overflow-hidden bg-gray-100 ${index === coverIndex ? 'ring-4 ring-warm-400' : ''}`}
+                    >
+                      {photo.isVideo ? (
+                        <video
+                          src={photo.preview}
+                          muted
+                          playsInline
+                          className="w-full aspect-square object-cover"
+                        />
+                      ) : (
+                        <img 
+                          src={photo.preview} 
+                          alt={`Photo ${index + 1}`} 
+                          className="w-full aspect-square object-cover"
+                        />
+                      )}
+                      {index === coverIndex ? (
+                        <span className="absolute bottom-1 left-1 bg-warm-500 text-white text-xs font-semibold px-2 py-0.5 rounded-lg">
+                          ⭐ Cover
+                        </span>
+                      ) : (
+                        <button
+                          type="button"
+                          onClick={() => setCoverIndex(index)}
+                          disabled={loading}
+                          className="absolute bottom-1 left-1 bg-black/60 text-white text-xs px-2 py-0.5 rounded-lg hover:bg-black/80"
+                        >
+                          Make cover
+                        </button>
+                      )}
+                      <button
+                        type="button"
+                        onClick={() => removePhoto(index)}
+                        disabled={loading}
+                        className="absolute top-1 right-1 bg-red-500 text-white rounded-full p-1
+                                 hover:bg-red-600 transition-colors shadow-lg"
+                        aria-label={`Remove photo ${index + 1}`}
+                      >
+                        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                        </svg>
+                      </button>
+                    </div>
+                  ))}
+                  
+                  {photos.length < MAX_PHOTOS && (
+                    <button
+                      type="button"
+                      onClick={() => fileInputRef.current?.click()}
+                      disabled={loading}
+                      className="aspect-square border-2 border-dashed border-warm-300 rounded-xl
+                               hover:border-warm-400 hover:bg-warm-50 transition-colors text-gray-500 text-sm"
+                    >
+                      <div className="text-2xl">➕</div>
+                      {allowsVideo ? 'Add photo or video' : 'Add photo'}
+                    </button>
+                  )}
+                </div>
+                <p className="text-xs text-gray-500 mt-2">
+                  The cover is shown first; voters can tap it to see the rest.
+                </p>
               </div>
             )}
+            {editing && (
+              <p className="text-xs text-gray-500 mt-2">
+                Leave this empty to keep your current photos. New ones replace all of them.
+              </p>
+            )}
           </div>
           
           <button
             type="submit"
-            disabled={loading || !name.trim() || !image}
+            disabled={loading || !name.trim() || (photos.length === 0 && !editing) || (divisions.length > 0 && !divisionId)}
             className="btn-primary w-full"
           >
             {loading ? (
@@ -171,6 +557,8 @@ function SubmissionPhase({ contest, entryCount, onEntrySubmitted }) {
                 </svg>
                 Uploading...
               </>
+            ) : editing ? (
+              'Save Changes'
             ) : (
               <>
                 <span className="mr-2">🚀</span>
@@ -178,6 +566,11 @@ function SubmissionPhase({ contest, entryCount, onEntrySubmitted }) {
               </>
             )}
           </button>
+          {editing && (
+            <button type="button" onClick={stopEditing} disabled={loading} className="btn-outline w-full">
+              Cancel
+            </button>
+          )}
         </form>
       </div>
 
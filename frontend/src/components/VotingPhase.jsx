@@ -1,15 +1,30 @@
 import { useState, useEffect } from 'react';
-import { submitVotes, fetchMyVotes, getVoterId } from '../utils/api';
+import { submitVotes, fetchMyVotes, fetchGuesses, submitGuesses, getVoterId, getRankConfig, getEntryMedia } from '../utils/api';
+import EntryCover from './EntryCover';
+import Lightbox from './Lightbox';
 
 function VotingPhase({ contest, entries, onVoteSubmitted }) {
-  const [selectedVotes, setSelectedVotes] = useState([]); // [{entryId, rank}]
+  const [selectedVotes, setSelectedVotes] = useState([]); // [{entryId, rank, categoryId}]
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(false);
   const [hasVoted, setHasVoted] = useState(false);
-  const [lightboxImage, setLightboxImage] = useState(null);
+  const [lightboxMedia, setLightboxMedia] = useState(null);
+  const [guessGame, setGuessGame] = useState(null); // { names, guesses: {entryId: name}, guesserName }
+  const [guesserNameInput, setGuesserNameInput] = useState('');
+  const [guessError, setGuessError] = useState(null);
 
-  const voterId = getVoterId();
+  const voterId = getVoterId(contest.slug);
+  const hasCategories = contest.categories?.length > 0;
+  const hasDivisions = contest.divisions?.length > 0;
+  // Voters fill a separate ballot per category, or per division when the contest
+  // votes within divisions; the ballot's ID goes out as the vote's categoryId
+  const votesWithinDivisions = hasDivisions && contest.division_voting === 'within';
+  const categories = hasCategories ? contest.categories : votesWithinDivisions ? contest.divisions : [{ id: 0, name: null }];
+  const hasBallots = hasCategories || votesWithinDivisions;
+  const [activeCategoryId, setActiveCategoryId] = useState(categories[0].id);
+  const activeCategory = categories.find(c => c.id === activeCategoryId) || categories[0];
+  const categoryVotes = selectedVotes.filter(v => v.categoryId === activeCategory.id);
 
   useEffect(() => {
     // Check if user has already voted
@@ -21,28 +36,47 @@ function VotingPhase({ contest, entries, onVoteSubmitted }) {
         }
       })
       .catch(() => {});
+    
+    fetchGuesses(contest.slug, voterId)
+      .then(setGuessGame)
+      .catch(() => {});
   }, [contest.slug, voterId]);
 
   function handleVote(entryId, rank) {
+    const categoryId = activeCategory.id;
     setSelectedVotes(prev => {
-      // Remove any existing vote for this rank
-      let newVotes = prev.filter(v => v.rank !== rank);
-      // Remove any existing vote for this entry
-      newVotes = newVotes.filter(v => v.entryId !== entryId);
+      // Remove any existing vote for this rank or entry in the active category
+      const newVotes = prev.filter(v =>
+        v.categoryId !== categoryId || (v.rank !== rank && v.entryId !== entryId)
+      );
       // Add new vote
-      newVotes.push({ entryId, rank });
+      newVotes.push({ entryId, rank, categoryId });
       return newVotes;
     });
     setSuccess(false);
   }
 
   function removeVote(entryId) {
-    setSelectedVotes(prev => prev.filter(v => v.entryId !== entryId));
+    setSelectedVotes(prev => prev.filter(v => v.categoryId !== activeCategory.id || v.entryId !== entryId));
     setSuccess(false);
   }
 
+  async function handleGuess(entryId, name) {
+    try {
+      setGuessError(null);
+      const result = await submitGuesses(contest.slug, voterId, guesserNameInput, [{ entryId, name }]);
+      setGuessGame(prev => ({
+        ...prev,
+        guesserName: result.guesserName,
+        guesses: { ...prev.guesses, [entryId]: name }
+      }));
+    } catch (err) {
+      setGuessError(err.message);
+    }
+  }
+
   function getVoteRank(entryId) {
-    const vote = selectedVotes.find(v => v.entryId === entryId);
+    const vote = categoryVotes.find(v => v.entryId === entryId);
     return vote ? vote.rank : null;
   }
 
@@ -66,11 +100,19 @@ function VotingPhase({ contest, entries, onVoteSubmitted }) {
     }
   }
 
-  const rankLabels = {
-    1: { label: '1st', emoji: '🥇', color: 'bg-amber-400 text-amber-900' },
-    2: { label: '2nd', emoji: '🥈', color: 'bg-gray-300 text-gray-700' },
-    3: { label: '3rd', emoji: '🥉', color: 'bg-orange-300 text-orange-800' }
-  };
+  // Your own entry can't be voted for, so it doesn't count towards the number of picks
+  function pickCountFor(categoryId) {
+    const votable = entries.filter(e => !e.isOwn && (!votesWithinDivisions || e.division_id === categoryId));
+    return Math.max(1, Math.min(contest.max_picks || 3, votable.length));
+  }
+  const pickCount = pickCountFor(activeCategory.id);
+  const galleryEntries = votesWithinDivisions ? entries.filter(e => e.division_id === activeCategory.id) : entries;
+  const ranks = Array.from({ length: pickCount }, (_, i) => i + 1);
+  // Guessing needs a name for the leaderboard, unless the server already knows who you are
+  const canGuess = guessGame?.names.length > 0;
+  const guessesLocked = canGuess && !guessGame.guesserName && !guesserNameInput.trim();
+  const guessCount = guessGame ? Object.values(guessGame.guesses).filter(Boolean).length : 0;
+  const guessableCount = entries.filter(e => !e.isOwn).length;
 
   return (
     <div className="space-y-6">
@@ -80,7 +122,7 @@ function VotingPhase({ contest, entries, onVoteSubmitted }) {
           Cast Your Votes
         </h2>
         <p className="text-gray-600">
-          Select up to 3 favorites. Tap an entry to view it full-size, then use the buttons to rank it.
+          Select up to {pickCount} {pickCount === 1 ? 'favorite' : 'favorites'}{hasCategories && ' in each category'}{votesWithinDivisions && ' in each division'}. Tap an entry to view it full-size, then use the buttons to rank it.
         </p>
         
         {hasVoted && !success && (
@@ -103,15 +145,72 @@ function VotingPhase({ contest, entries, onVoteSubmitted }) {
         )}
       </div>
 
+      {/* Guess Who Made It */}
+      {canGuess && (
+        <div className="card p-6">
+          <h3 className="font-display font-semibold text-gray-800 mb-1">
+            🕵️ Guess Who Made It
+          </h3>
+          <p className="text-sm text-gray-600">
+            Just for fun: pick who you think made each entry. Guesses save as you go, and the best guessers are revealed with the results.
+          </p>
+          {!guessGame.guesserName && (
+            <div className="mt-3">
+              <label htmlFor="guesserName" className="label">Your name for the leaderboard</label>
+              <input
+                id="guesserName"
+                type="text"
+                value={guesserNameInput}
+                onChange={(e) => setGuesserNameInput(e.target.value)}
+                placeholder="e.g., Grandma Jo"
+                className="input"
+                maxLength={50}
+              />
+            </div>
+          )}
+          {guessCount > 0 && (
+            <p className="text-sm text-gray-500 mt-2">
+              {guessCount} of {guessableCount} guessed
+            </p>
+          )}
+          {guessError && (
+            <div className="mt-3 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-xl">
+              {guessError}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Category (or Division) Tabs */}
+      {hasBallots && (
+        <div className="flex flex-wrap gap-2">
+          {categories.map(category => {
+            const count = selectedVotes.filter(v => v.categoryId === category.id).length;
+            return (
+              <button
+                key={category.id}
+                onClick={() => setActiveCategoryId(category.id)}
+                className={`btn-sm ${category.id === activeCategory.id ? 'btn-primary' : 'btn-outline'}`}
+              >
+                {category.name}
+                {count > 0 && <span className="ml-2 opacity-75">{count}/{pickCountFor(category.id)}</span>}
+              </button>
+            );
+          })}
+        </div>
+      )}
+
       {/* Selected Votes Summary */}
       {selectedVotes.length > 0 && (
         <div className="card p-4">
-          <h3 className="font-display font-semibold text-gray-700 mb-3">Your Selections:</h3>
+          <h3 className="font-display font-semibold text-gray-700 mb-3">
+            Your Selections{activeCategory.name && ` for ${activeCategory.name}`}:
+          </h3>
           <div className="flex flex-wrap gap-2">
-            {[1, 2, 3].map(rank => {
-              const vote = selectedVotes.find(v => v.rank === rank);
+            {ranks.map(rank => {
+              const vote = categoryVotes.find(v => v.rank === rank);
               const entry = vote ? entries.find(e => e.id === vote.entryId) : null;
-              const config = rankLabels[rank];
+              const config = getRankConfig(rank);
               
               return (
                 <div 
@@ -163,15 +262,17 @@ function VotingPhase({ contest, entries, onVoteSubmitted }) {
       )}
 
       {/* Entry Gallery */}
-      {entries.length === 0 ? (
+      {galleryEntries.length === 0 ? (
         <div className="card p-8 text-center">
           <p className="text-gray-500">No entries to vote on.</p>
         </div>
       ) : (
         <div className="grid grid-cols-2 sm:grid-cols-3 gap-4">
-          {entries.map((entry, index) => {
+          {galleryEntries.map(entry => {
+            // Numbered across the whole gallery, so numbers stay put when switching divisions
+            const index = entries.indexOf(entry);
             const voteRank = getVoteRank(entry.id);
-            const rankConfig = voteRank ? rankLabels[voteRank] : null;
+            const rankConfig = voteRank ? getRankConfig(voteRank) : null;
             
             return (
               <div 
@@ -182,23 +283,33 @@ function VotingPhase({ contest, entries, onVoteSubmitted }) {
               >
                 {/* Entry Number Badge */}
                 <div className="relative">
-                  <button
-                    onClick={() => setLightboxImage(`/uploads/${entry.image_filename}`)}
+                  <EntryCover
+                    entry={entry}
+                    alt={`Entry #${index + 1}`}
                     className="w-full aspect-square overflow-hidden bg-gray-100"
-                  >
-                    <img
-                      src={`/uploads/${entry.image_filename}`}
-                      alt={`Entry #${index + 1}`}
-                      className="w-full h-full object-cover hover:scale-105 transition-transform duration-300"
-                      loading="lazy"
-                    />
-                  </button>
+                    imgClassName="w-full h-full object-cover hover:scale-105 transition-transform duration-300"
+                    onOpen={() => setLightboxMedia(getEntryMedia(entry))}
+                  />
                   
                   {/* Entry number */}
                   <div className="absolute top-2 left-2 bg-black/60 text-white text-sm font-bold px-2 py-1 rounded-lg">
                     #{index + 1}
                   </div>
                   
+                  {/* Photo count */}
+                  {entry.media?.length > 1 && (
+                    <div className="absolute bottom-2 right-2 bg-black/60 text-white text-xs font-semibold px-2 py-1 rounded-lg pointer-events-none">
+                      📷 {entry.media.length}
+                    </div>
+                  )}
+                  
+                  {/* Own entry badge */}
+                  {entry.isOwn && (
+                    <div className="absolute bottom-2 left-2 right-2 bg-sage-600/90 text-white text-sm font-semibold text-center px-2 py-1 rounded-lg pointer-events-none">
+                      Your entry
+                    </div>
+                  )}
+                  
                   {/* Vote badge */}
                   {voteRank && (
                     <div className={`absolute top-2 right-2 ${rankConfig.color} text-lg font-bold px-2 py-1 rounded-lg shadow-lg`}>
@@ -209,30 +320,58 @@ function VotingPhase({ contest, entries, onVoteSubmitted }) {
                 
                 {/* Vote Buttons */}
                 <div className="p-3">
-                  <div className="flex gap-2">
-                    {[1, 2, 3].map(rank => {
-                      const config = rankLabels[rank];
-                      const isSelected = voteRank === rank;
-                      const isRankTaken = selectedVotes.some(v => v.rank === rank && v.entryId !== entry.id);
+                  {hasDivisions && !votesWithinDivisions && (
+                    <p className="text-xs font-semibold text-sage-700 mb-1">
+                      {contest.divisions.find(d => d.id === entry.division_id)?.name}
+                    </p>
+                  )}
+                  {entry.title && (
+                    <p className="font-display font-semibold text-gray-800 truncate mb-2">{entry.title}</p>
+                  )}
+                  {entry.isOwn ? (
+                    <p className="py-2 text-sm text-center text-gray-400">You can't vote for your own entry</p>
+                  ) : (
+                    <div className="flex flex-wrap gap-2">
+                      {ranks.map(rank => {
+                        const config = getRankConfig(rank);
+                        const isSelected = voteRank === rank;
+                        const isRankTaken = categoryVotes.some(v => v.rank === rank && v.entryId !== entry.id);
                       
-                      return (
-                        <button
-                          key={rank}
-                          onClick={() => handleVote(entry.id, rank)}
-                          disabled={isRankTaken}
-                          className={`flex-1 py-2 px-2 rounded-xl text-sm font-semibold transition-all
-                            ${isSelected 
-                              ? config.color + ' scale-105 shadow-md' 
-                              : isRankTaken
-                              ? 'bg-gray-100 text-gray-300 cursor-not-allowed'
-                              : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
-                            }`}
-                        >
-                          {config.emoji}
-                        </button>
-                      );
-                    })}
-                  </div>
+                        return (
+                          <button
+                            key={rank}
+                            onClick={() => handleVote(entry.id, rank)}
+                            disabled={isRankTaken}
+                            className={`flex-1 py-2 px-2 rounded-xl text-sm font-semibold transition-all
+                              ${isSelected 
+                                ? config.color + ' scale-105 shadow-md' 
+                                : isRankTaken
+                                ? 'bg-gray-100 text-gray-300 cursor-not-allowed'
+                                : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                              }`}
+                          >
+                            {config.emoji}
+                          </button>
+                        );
+                      })}
+                    </div>
+                  )}
+                  
+                  {/* Maker Guess */}
+                  {canGuess && !entry.isOwn && (
+                    <select
+                      value={guessGame.guesses[entry.id] || ''}
+                      onChange={(e) => handleGuess(entry.id, e.target.value)}
+                      disabled={guessesLocked}
+                      className="input mt-2 py-1.5 text-sm"
+                      aria-label={`Who made entry #${index + 1}?`}
+                    >
+                      <option value="">{guessesLocked ? 'Add your name to guess' : 'Who made this?'}</option>
+                      {guessGame.names.map(name => (
+                        <option key={name} value={name}>{name}</option>
+                      ))}
+                    </select>
+                  )}
                 </div>
               </div>
             );
@@ -241,24 +380,8 @@ function VotingPhase({ contest, entries, onVoteSubmitted }) {
       )}
 
       {/* Lightbox */}
-      {lightboxImage && (
-        <div 
-          className="fixed inset-0 z-50 bg-black/90 flex items-center justify-center p-4"
-          onClick={() => setLightboxImage(null)}
-        >
-          <button
-            onClick={() => setLightboxImage(null)}
-            className="absolute top-4 right-4 text-white text-4xl hover:opacity-70"
-          >
-            ×
-          </button>
-          <img
-            src={lightboxImage}
-            alt="Full size view"
-            className="max-w-full max-h-full object-contain"
-            onClick={(e) => e.stopPropagation()}
-          />
-        </div>
+      {lightboxMedia && (
+        <Lightbox media={lightboxMedia} onClose={() => setLightboxMedia(null)} />
       )}
     </div>
   );
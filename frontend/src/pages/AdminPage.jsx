@@ -2,21 +2,62 @@ import { useState, useEffect } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
 import { 
   fetchContest, 
-  verifyAdminPin, 
+  loginAdmin,
+  recoverAdminPin,
+  changeAdminPin,
+  checkAdminSession,
+  logoutAdmin,
+  fetchLoginAttempts,
+  getAdminToken,
+  setAdminToken,
   updateContest, 
+  deleteContest,
+  moveContestStorage,
   fetchAdminEntries,
   deleteEntry,
+  dismissDuplicateFlags,
+  fetchRoster,
+  addRosterMember,
+  removeRosterMember,
+  setRosterMemberGroup,
+  fetchVoterGroups,
+  addVoterGroup,
+  updateVoterGroup,
+  deleteVoterGroup,
+  fetchJudges,
+  addJudge,
+  removeJudge,
+  closeBracketRound,
   formatDate,
-  formatDateForInput
+  formatDateForInput,
+  formatMakers,
+  imageUrl
 } from '../utils/api';
 
+// Voting group weights the server accepts: 0 to 10 in steps of 0.5
+const GROUP_WEIGHTS = Array.from({ length: 21 }, (_, i) => i / 2);
+
+// Groups need this many voters before the server publishes their own standings
+const MIN_GROUP_VOTERS = 3;
+
 function AdminPage() {
   const { slug } = useParams();
   const navigate = useNavigate();
   
   const [contest, setContest] = useState(null);
   const [entries, setEntries] = useState([]);
+  const [roster, setRoster] = useState([]);
+  const [newMemberName, setNewMemberName] = useState('');
+  const [groups, setGroups] = useState([]);
+  const [newGroup, setNewGroup] = useState({ name: '', weight: '1' });
+  const [judges, setJudges] = useState([]);
+  const [newJudgeName, setNewJudgeName] = useState('');
+  const [loginAttempts, setLoginAttempts] = useState(null);
   const [pin, setPin] = useState('');
+  const [recovering, setRecovering] = useState(false);
+  const [recoveryForm, setRecoveryForm] = useState({ recoveryCode: '', newPin: '', confirmPin: '' });
+  const [pinForm, setPinForm] = useState({ currentPin: '', newPin: '', confirmPin: '' });
+  const [newRecoveryCode, setNewRecoveryCode] = useState(null);
   const [authenticated, setAuthenticated] = useState(false);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -27,6 +68,8 @@ function AdminPage() {
     submissionDeadline: '',
     votingDeadline: ''
   });
+  const [detailsForm, setDetailsForm] = useState({ name: '', description: '', link: 'keep' });
+  const [deleteName, setDeleteName] = useState('');
 
   useEffect(() => {
     loadContest();
@@ -36,11 +79,30 @@ function AdminPage() {
     try {
       setLoading(true);
       const data = await fetchContest(slug);
+      // An old admin link to a contest whose slug has since changed
+      if (data.slug !== slug) {
+        moveContestStorage(slug, data.slug);
+        navigate(`/contest/${data.slug}/admin`, { replace: true });
+        return;
+      }
+      
       setContest(data);
       setEditForm({
         submissionDeadline: formatDateForInput(data.submission_deadline),
         votingDeadline: formatDateForInput(data.voting_deadline)
       });
+      setDetailsForm({ name: data.name, description: data.description || '', link: 'keep' });
+      
+      // Pick up the session from an earlier visit, if it's still good
+      if (getAdminToken(slug)) {
+        try {
+          await checkAdminSession(slug);
+          setAuthenticated(true);
+          loadAdminData(data);
+        } catch (err) {
+          setAdminToken(slug, null);
+        }
+      }
     } catch (err) {
       setError(err.message);
     } finally {
@@ -53,20 +115,315 @@ function AdminPage() {
     setError(null);
     
     try {
-      await verifyAdminPin(slug, pin);
+      await loginAdmin(slug, pin);
+      setPin('');
       setAuthenticated(true);
-      loadEntries();
+      loadAdminData(contest);
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  async function handleRecover(e) {
+    e.preventDefault();
+    setError(null);
+    
+    if (recoveryForm.newPin !== recoveryForm.confirmPin) {
+      setError("The new PINs don't match");
+      return;
+    }
+    
+    try {
+      const session = await recoverAdminPin(slug, recoveryForm.recoveryCode, recoveryForm.newPin);
+      setRecoveryForm({ recoveryCode: '', newPin: '', confirmPin: '' });
+      setRecovering(false);
+      setNewRecoveryCode(session.recoveryCode);
+      setMessage('Your PIN has been reset.');
+      setAuthenticated(true);
+      loadAdminData(contest);
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  async function handleChangePin(e) {
+    e.preventDefault();
+    setError(null);
+    setMessage(null);
+    
+    if (pinForm.newPin !== pinForm.confirmPin) {
+      setError("The new PINs don't match");
+      return;
+    }
+    
+    try {
+      const { recoveryCode } = await changeAdminPin(slug, pinForm.currentPin, pinForm.newPin);
+      setPinForm({ currentPin: '', newPin: '', confirmPin: '' });
+      setNewRecoveryCode(recoveryCode);
+      setMessage('PIN changed. Anyone else logged in to this panel has been logged out.');
     } catch (err) {
-      setError('Invalid PIN');
+      handleError(err);
+    }
+  }
+
+  async function handleLogout() {
+    setError(null);
+    setMessage(null);
+    
+    try {
+      await logoutAdmin(slug);
+    } catch (err) {
+      // The session is forgotten here either way
+    }
+    setNewRecoveryCode(null);
+    setAuthenticated(false);
+  }
+
+  function loadAdminData(contest) {
+    loadEntries();
+    loadRoster();
+    loadGroups();
+    if (contest.voting_mode === 'judged') loadJudges();
+    loadLoginAttempts();
+  }
+
+  // An expired or ended session sends the admin back to the login form
+  function handleError(err) {
+    if (err.status === 401) {
+      setAdminToken(slug, null);
+      setAuthenticated(false);
     }
+    setError(err.message);
   }
 
   async function loadEntries() {
     try {
-      const data = await fetchAdminEntries(slug, pin);
+      const data = await fetchAdminEntries(slug);
       setEntries(data);
     } catch (err) {
-      setError(err.message);
+      handleError(err);
+    }
+  }
+
+  async function loadRoster() {
+    try {
+      setRoster(await fetchRoster(slug));
+    } catch (err) {
+      handleError(err);
+    }
+  }
+
+  async function handleAddMember(e) {
+    e.preventDefault();
+    setError(null);
+    setMessage(null);
+    
+    if (!newMemberName.trim()) {
+      setError('Please enter a name');
+      return;
+    }
+    
+    try {
+      const member = await addRosterMember(slug, newMemberName.trim());
+      setRoster([...roster, member]);
+      setNewMemberName('');
+      setMessage(`${member.name} added to the roster. Their invite code is ${member.invite_code}.`);
+    } catch (err) {
+      handleError(err);
+    }
+  }
+
+  async function handleRemoveMember(memberId, memberName) {
+    setError(null);
+    setMessage(null);
+    
+    if (!confirm(`Remove "${memberName}" from the roster? Their votes will be deleted and their invite code will stop working.`)) {
+      return;
+    }
+    
+    try {
+      await removeRosterMember(slug, memberId);
+      setRoster(roster.filter(m => m.id !== memberId));
+      setMessage(`${memberName} removed from the roster.`);
+    } catch (err) {
+      handleError(err);
+    }
+  }
+
+  async function handleMemberGroupChange(member, groupId) {
+    setError(null);
+    setMessage(null);
+    
+    try {
+      await setRosterMemberGroup(slug, member.id, groupId);
+      setRoster(roster.map(m => (m.id === member.id ? { ...m, group_id: groupId } : m)));
+      loadGroups();
+    } catch (err) {
+      handleError(err);
+    }
+  }
+
+  async function loadGroups() {
+    try {
+      setGroups(await fetchVoterGroups(slug));
+    } catch (err) {
+      handleError(err);
+    }
+  }
+
+  async function handleAddGroup(e) {
+    e.preventDefault();
+    setError(null);
+    setMessage(null);
+    
+    if (!newGroup.name.trim()) {
+      setError('Please enter a group name');
+      return;
+    }
+    
+    try {
+      const group = await addVoterGroup(slug, newGroup.name.trim(), Number(newGroup.weight));
+      setGroups([...groups, group]);
+      setNewGroup({ name: '', weight: '1' });
+      setMessage(`Voting group "${group.name}" added.`);
+    } catch (err) {
+      handleError(err);
+    }
+  }
+
+  async function handleGroupWeightChange(group, weight) {
+    setError(null);
+    setMessage(null);
+    
+    try {
+      await updateVoterGroup(slug, group.id, Number(weight));
+      setGroups(groups.map(g => (g.id === group.id ? { ...g, weight: Number(weight) } : g)));
+      setMessage(`Votes from "${group.name}" now count ${weight}x.`);
+    } catch (err) {
+      handleError(err);
+    }
+  }
+
+  async function handleDeleteGroup(group) {
+    setError(null);
+    setMessage(null);
+    
+    if (!confirm(`Delete the "${group.name}" group? Its members' votes will count once again.`)) {
+      return;
+    }
+    
+    try {
+      await deleteVoterGroup(slug, group.id);
+      setGroups(groups.filter(g => g.id !== group.id));
+      setRoster(roster.map(m => (m.group_id === group.id ? { ...m, group_id: null } : m)));
+      setMessage(`Voting group "${group.name}" deleted.`);
+    } catch (err) {
+      handleError(err);
+    }
+  }
+
+  async function loadLoginAttempts() {
+    try {
+      setLoginAttempts(await fetchLoginAttempts(slug));
+    } catch (err) {
+      handleError(err);
+    }
+  }
+
+  async function loadJudges() {
+    try {
+      setJudges(await fetchJudges(slug));
+    } catch (err) {
+      handleError(err);
+    }
+  }
+
+  async function handleAddJudge(e) {
+    e.preventDefault();
+    setError(null);
+    setMessage(null);
+    
+    if (!newJudgeName.trim()) {
+      setError('Please enter a name');
+      return;
+    }
+    
+    try {
+      const judge = await addJudge(slug, newJudgeName.trim());
+      setJudges([...judges, judge]);
+      setNewJudgeName('');
+      setMessage(`${judge.name} added as a judge. Their judge code is ${judge.judge_code}.`);
+    } catch (err) {
+      handleError(err);
+    }
+  }
+
+  async function handleRemoveJudge(judgeId, judgeName) {
+    setError(null);
+    setMessage(null);
+    
+    if (!confirm(`Remove judge "${judgeName}"? All of their scores will be deleted.`)) {
+      return;
+    }
+    
+    try {
+      await removeJudge(slug, judgeId);
+      setJudges(judges.filter(j => j.id !== judgeId));
+      setMessage(`${judgeName} removed from the judges.`);
+    } catch (err) {
+      handleError(err);
+    }
+  }
+
+  function judgeLink(judge) {
+    return `${window.location.origin}/contest/${slug}?judge=${judge.judge_code}`;
+  }
+
+  function inviteLink(member) {
+    return `${window.location.origin}/contest/${slug}?invite=${member.invite_code}`;
+  }
+
+  async function handleUpdateDetails(e) {
+    e.preventDefault();
+    setError(null);
+    setMessage(null);
+    
+    if (!detailsForm.name.trim()) {
+      setError('Contest name is required');
+      return;
+    }
+    
+    try {
+      const updated = await updateContest(slug, {
+        name: detailsForm.name,
+        description: detailsForm.description,
+        regenerateSlug: detailsForm.link === 'update'
+      });
+      setContest(updated);
+      setDetailsForm({ name: updated.name, description: updated.description || '', link: 'keep' });
+      if (updated.slug !== slug) {
+        moveContestStorage(slug, updated.slug);
+        setMessage('Contest details updated. The old link still works and leads to the new one.');
+        navigate(`/contest/${updated.slug}/admin`, { replace: true });
+      } else {
+        setMessage('Contest details updated!');
+      }
+    } catch (err) {
+      handleError(err);
+    }
+  }
+
+  async function handleDeleteContest(e) {
+    e.preventDefault();
+    setError(null);
+    setMessage(null);
+    
+    try {
+      await deleteContest(slug, deleteName);
+      setAdminToken(slug, null);
+      navigate('/');
+    } catch (err) {
+      handleError(err);
     }
   }
 
@@ -76,14 +433,14 @@ function AdminPage() {
     setMessage(null);
     
     try {
-      const updated = await updateContest(slug, pin, {
+      const updated = await updateContest(slug, {
         submissionDeadline: editForm.submissionDeadline,
         votingDeadline: editForm.votingDeadline
       });
       setContest(updated);
       setMessage('Deadlines updated successfully!');
     } catch (err) {
-      setError(err.message);
+      handleError(err);
     }
   }
 
@@ -96,11 +453,28 @@ function AdminPage() {
     }
     
     try {
-      const updated = await updateContest(slug, pin, { currentPhase: newPhase });
+      const updated = await updateContest(slug, { currentPhase: newPhase });
       setContest(updated);
       setMessage(`Phase changed to ${newPhase}!`);
     } catch (err) {
-      setError(err.message);
+      handleError(err);
+    }
+  }
+
+  async function handleCloseRound() {
+    setError(null);
+    setMessage(null);
+    
+    if (!confirm('Close the current bracket round now? Winners go through on the votes cast so far.')) {
+      return;
+    }
+    
+    try {
+      const updated = await closeBracketRound(slug);
+      setContest(updated);
+      setMessage('Round closed.');
+    } catch (err) {
+      handleError(err);
     }
   }
 
@@ -113,11 +487,26 @@ function AdminPage() {
     }
     
     try {
-      await deleteEntry(slug, entryId, pin);
-      setEntries(entries.filter(e => e.id !== entryId));
+      await deleteEntry(slug, entryId);
+      // Flags on other entries that pointed at this one go with it
+      setEntries(entries
+        .filter(e => e.id !== entryId)
+        .map(e => ({ ...e, duplicateFlags: e.duplicateFlags.filter(f => f.entryId !== entryId) })));
       setMessage('Entry deleted successfully.');
     } catch (err) {
-      setError(err.message);
+      handleError(err);
+    }
+  }
+
+  async function handleDismissFlags(entryId) {
+    setError(null);
+    setMessage(null);
+    
+    try {
+      await dismissDuplicateFlags(slug, entryId);
+      setEntries(entries.map(e => (e.id === entryId ? { ...e, duplicateFlags: [] } : e)));
+    } catch (err) {
+      handleError(err);
     }
   }
 
@@ -165,21 +554,82 @@ function AdminPage() {
             </div>
           )}
           
-          <form onSubmit={handleLogin}>
-            <label htmlFor="pin" className="label">Admin PIN</label>
-            <input
-              type="password"
-              id="pin"
-              value={pin}
-              onChange={(e) => setPin(e.target.value)}
-              placeholder="Enter your PIN"
-              className="input mb-4"
-              autoFocus
-            />
-            <button type="submit" className="btn-primary w-full">
-              Access Admin Panel
-            </button>
-          </form>
+          {recovering ? (
+            <form onSubmit={handleRecover} className="space-y-4">
+              <p className="text-sm text-gray-600">
+                Enter the recovery code you were given when the contest was created, and choose a new PIN.
+              </p>
+              <div>
+                <label htmlFor="recoveryCode" className="label">Recovery Code</label>
+                <input
+                  type="text"
+                  id="recoveryCode"
+                  value={recoveryForm.recoveryCode}
+                  onChange={(e) => setRecoveryForm(prev => ({ ...prev, recoveryCode: e.target.value }))}
+                  placeholder="XXXX-XXXX-XXXX-XXXX"
+                  className="input font-mono"
+                  autoComplete="off"
+                  autoFocus
+                />
+              </div>
+              <div>
+                <label htmlFor="recoveryNewPin" className="label">New PIN</label>
+                <input
+                  type="password"
+                  id="recoveryNewPin"
+                  value={recoveryForm.newPin}
+                  onChange={(e) => setRecoveryForm(prev => ({ ...prev, newPin: e.target.value }))}
+                  placeholder="At least 4 characters"
+                  className="input"
+                  autoComplete="new-password"
+                />
+              </div>
+              <div>
+                <label htmlFor="recoveryConfirmPin" className="label">Confirm New PIN</label>
+                <input
+                  type="password"
+                  id="recoveryConfirmPin"
+                  value={recoveryForm.confirmPin}
+                  onChange={(e) => setRecoveryForm(prev => ({ ...prev, confirmPin: e.target.value }))}
+                  className="input"
+                  autoComplete="new-password"
+                />
+              </div>
+              <button type="submit" className="btn-primary w-full">
+                Reset PIN
+              </button>
+              <button
+                type="button"
+                onClick={() => { setRecovering(false); setError(null); }}
+                className="block w-full text-center text-sm text-gray-500 hover:text-gray-700"
+              >
+                Back to login
+              </button>
+            </form>
+          ) : (
+            <form onSubmit={handleLogin}>
+              <label htmlFor="pin" className="label">Admin PIN</label>
+              <input
+                type="password"
+                id="pin"
+                value={pin}
+                onChange={(e) => setPin(e.target.value)}
+                placeholder="Enter your PIN"
+                className="input mb-4"
+                autoFocus
+              />
+              <button type="submit" className="btn-primary w-full">
+                Access Admin Panel
+              </button>
+              <button
+                type="button"
+                onClick={() => { setRecovering(true); setError(null); }}
+                className="block w-full text-center text-sm text-gray-500 hover:text-gray-700 mt-4"
+              >
+                Forgot your PIN?
+              </button>
+            </form>
+          )}
           
           <Link 
             to={`/contest/${slug}`}
@@ -204,9 +654,14 @@ function AdminPage() {
         <h1 className="font-display text-2xl font-bold text-gray-800">
           Admin Panel
         </h1>
-        <Link to={`/contest/${slug}`} className="btn-outline btn-sm">
-          View Contest
-        </Link>
+        <div className="flex gap-2">
+          <Link to={`/contest/${slug}`} className="btn-outline btn-sm">
+            View Contest
+          </Link>
+          <button onClick={handleLogout} className="btn-ghost btn-sm">
+            Log Out
+          </button>
+        </div>
       </div>
       
       {error && (
@@ -236,6 +691,52 @@ function AdminPage() {
         </div>
       </div>
 
+      {/* Contest Details */}
+      <div className="card p-6 mb-6">
+        <h3 className="font-display font-semibold text-gray-800 mb-4">Contest Details</h3>
+        <form onSubmit={handleUpdateDetails} className="space-y-4">
+          <div>
+            <label htmlFor="contestName" className="label">Contest Name</label>
+            <input
+              type="text"
+              id="contestName"
+              value={detailsForm.name}
+              onChange={(e) => setDetailsForm(prev => ({ ...prev, name: e.target.value }))}
+              className="input"
+              maxLength={100}
+            />
+          </div>
+          <div>
+            <label htmlFor="contestDescription" className="label">Description</label>
+            <textarea
+              id="contestDescription"
+              value={detailsForm.description}
+              onChange={(e) => setDetailsForm(prev => ({ ...prev, description: e.target.value }))}
+              className="input min-h-[100px] resize-y"
+              maxLength={500}
+            />
+          </div>
+          <div>
+            <label htmlFor="contestLink" className="label">Contest Link</label>
+            <select
+              id="contestLink"
+              value={detailsForm.link}
+              onChange={(e) => setDetailsForm(prev => ({ ...prev, link: e.target.value }))}
+              className="input"
+            >
+              <option value="keep">Keep /contest/{slug}</option>
+              <option value="update">Update it to match the name</option>
+            </select>
+            <p className="text-xs text-gray-500 mt-1">
+              Links already shared keep working and lead to the new one.
+            </p>
+          </div>
+          <button type="submit" className="btn-secondary">
+            Save Details
+          </button>
+        </form>
+      </div>
+
       {/* Phase Controls */}
       <div className="card p-6 mb-6">
         <h3 className="font-display font-semibold text-gray-800 mb-4">Phase Controls</h3>
@@ -265,6 +766,17 @@ function AdminPage() {
             🏆 Show Results
           </button>
         </div>
+        
+        {contest.voting_mode === 'bracket' && contest.current_phase === 'voting' && contest.current_round !== null && (
+          <div className="mt-4 pt-4 border-t border-warm-100">
+            <p className="text-sm text-gray-600 mb-2">
+              The bracket is in round {contest.current_round}. Each round closes on its own schedule, or you can close it early.
+            </p>
+            <button onClick={handleCloseRound} className="btn-sm btn-outline">
+              ⏭️ Close Current Round Now
+            </button>
+          </div>
+        )}
       </div>
 
       {/* Deadline Editor */}
@@ -317,13 +829,30 @@ function AdminPage() {
                 className="flex items-center gap-4 p-3 bg-gray-50 rounded-xl"
               >
                 <img
-                  src={`/uploads/${entry.image_filename}`}
+                  src={imageUrl(entry.image_filename, 'thumb')}
                   alt={entry.name}
                   className="w-16 h-16 object-cover rounded-lg"
                 />
                 <div className="flex-1 min-w-0">
-                  <p className="font-medium text-gray-800">{entry.name}</p>
+                  <p className="font-medium text-gray-800">{formatMakers(entry)}</p>
+                  {entry.title && <p className="text-sm text-gray-600 italic truncate">{entry.title}</p>}
+                  {entry.duplicateFlags.length > 0 && (
+                    <div className="mt-1 text-xs bg-amber-50 border border-amber-200 text-amber-800 rounded-lg px-2 py-1">
+                      ⚠️ Photo looks like {[...new Set(entry.duplicateFlags.map(flag => (
+                        flag.otherContest
+                          ? 'a photo in another contest'
+                          : `${flag.name}'s entry${flag.title ? ` "${flag.title}"` : ''}`
+                      )))].join(', ')}
+                      <button
+                        onClick={() => handleDismissFlags(entry.id)}
+                        className="ml-2 underline hover:no-underline"
+                      >
+                        Looks fine
+                      </button>
+                    </div>
+                  )}
                   <p className="text-xs text-gray-500">
+                    {entry.division_id && `${contest.divisions?.find(d => d.id === entry.division_id)?.name} • `}
                     Submitted {new Date(entry.created_at).toLocaleDateString()}
                   </p>
                 </div>
@@ -342,6 +871,322 @@ function AdminPage() {
         )}
       </div>
 
+      {/* Judges */}
+      {contest.voting_mode === 'judged' && (
+        <div className="card p-6 mt-6">
+          <h3 className="font-display font-semibold text-gray-800 mb-2">
+            Judges ({judges.length})
+          </h3>
+          <p className="text-sm text-gray-600 mb-4">
+            Only judges can score entries in this contest. Send each judge their own judge link.
+            Criteria: {contest.criteria.map(c => `${c.name} (1–${c.max_score})`).join(', ')}.
+          </p>
+          
+          <form onSubmit={handleAddJudge} className="flex items-center gap-2 mb-4">
+            <input
+              type="text"
+              value={newJudgeName}
+              onChange={(e) => setNewJudgeName(e.target.value)}
+              placeholder="e.g., Aunt Carol"
+              className="input flex-1"
+              maxLength={50}
+            />
+            <button type="submit" className="btn-primary btn-sm">
+              Add
+            </button>
+          </form>
+          
+          {judges.length === 0 ? (
+            <p className="text-gray-500 text-center py-4">No judges yet.</p>
+          ) : (
+            <div className="space-y-3">
+              {judges.map(judge => (
+                <div key={judge.id} className="flex items-center gap-3 p-3 bg-gray-50 rounded-xl">
+                  <div className="flex-1 min-w-0">
+                    <p className="font-medium text-gray-800">{judge.name}</p>
+                    <div className="flex flex-wrap items-center gap-2 mt-1 text-xs">
+                      <span className="font-mono text-gray-500">{judge.judge_code}</span>
+                      <span className={`px-2 py-0.5 rounded-full ${judge.scored_entries === entries.length && entries.length > 0 ? 'bg-green-100 text-green-700' : 'bg-gray-200 text-gray-600'}`}>
+                        Scored {judge.scored_entries} of {entries.length}
+                      </span>
+                    </div>
+                  </div>
+                  <button
+                    onClick={() => {
+                      navigator.clipboard.writeText(judgeLink(judge));
+                      setMessage(`Judge link for ${judge.name} copied to clipboard!`);
+                    }}
+                    className="btn-outline btn-sm"
+                  >
+                    Copy Link
+                  </button>
+                  <button
+                    onClick={() => handleRemoveJudge(judge.id, judge.name)}
+                    className="p-2 text-red-500 hover:bg-red-50 rounded-lg transition-colors"
+                    title="Remove judge"
+                  >
+                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                    </svg>
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Family Roster */}
+      <div className="card p-6 mt-6">
+        <h3 className="font-display font-semibold text-gray-800 mb-2">
+          Family Roster ({roster.length})
+        </h3>
+        <p className="text-sm text-gray-600 mb-4">
+          Once anyone is on the roster, only people with an invite code can submit or vote.
+          Send each person their own invite link.
+        </p>
+        
+        <form onSubmit={handleAddMember} className="flex items-center gap-2 mb-4">
+          <input
+            type="text"
+            value={newMemberName}
+            onChange={(e) => setNewMemberName(e.target.value)}
+            placeholder="e.g., Grandma Rose"
+            className="input flex-1"
+            maxLength={50}
+          />
+          <button type="submit" className="btn-primary btn-sm">
+            Add
+          </button>
+        </form>
+        
+        {roster.length === 0 ? (
+          <p className="text-gray-500 text-center py-4">
+            No roster yet. Anyone with the contest link can take part.
+            {contest.current_phase !== 'submission' && ' A roster can only be started before voting opens.'}
+          </p>
+        ) : (
+          <div className="space-y-3">
+            {roster.map(member => (
+              <div key={member.id} className="p-3 bg-gray-50 rounded-xl">
+                <div className="flex items-center gap-3">
+                  <div className="flex-1 min-w-0">
+                    <p className="font-medium text-gray-800">{member.name}</p>
+                    <div className="flex flex-wrap items-center gap-2 mt-1 text-xs">
+                      <span className="font-mono text-gray-500">{member.invite_code}</span>
+                      <span className={`px-2 py-0.5 rounded-full ${member.has_voted ? 'bg-green-100 text-green-700' : 'bg-gray-200 text-gray-600'}`}>
+                        {member.has_voted ? '✓ Voted' : 'Not voted yet'}
+                      </span>
+                      {member.has_submitted && (
+                        <span className="px-2 py-0.5 rounded-full bg-sage-100 text-sage-700">
+                          📷 Submitted
+                        </span>
+                      )}
+                    </div>
+                  </div>
+                  {groups.length > 0 && (
+                    <select
+                      value={member.group_id ?? ''}
+                      onChange={(e) => handleMemberGroupChange(member, e.target.value ? Number(e.target.value) : null)}
+                      className="input w-auto py-1 text-sm"
+                      title="Voting group"
+                    >
+                      <option value="">No group</option>
+                      {groups.map(group => (
+                        <option key={group.id} value={group.id}>{group.name}</option>
+                      ))}
+                    </select>
+                  )}
+                  <button
+                    onClick={() => {
+                      navigator.clipboard.writeText(inviteLink(member));
+                      setMessage(`Invite link for ${member.name} copied to clipboard!`);
+                    }}
+                    className="btn-outline btn-sm"
+                  >
+                    Copy Link
+                  </button>
+                  <button
+                    onClick={() => handleRemoveMember(member.id, member.name)}
+                    className="p-2 text-red-500 hover:bg-red-50 rounded-lg transition-colors"
+                    title="Remove from roster"
+                  >
+                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                    </svg>
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Voting Groups (weights apply to ranked ballots only) */}
+      {contest.voting_mode !== 'judged' && (
+        <div className="card p-6 mt-6">
+          <h3 className="font-display font-semibold text-gray-800 mb-2">
+            Voting Groups ({groups.length})
+          </h3>
+          <p className="text-sm text-gray-600 mb-4">
+            Put roster members into groups such as Kids, Grown-ups or Judges. Each group's votes count
+            by its weight in the overall results (0 keeps them out entirely), and every group with at
+            least {MIN_GROUP_VOTERS} voters also gets its own standings. Smaller groups' standings would
+            give away how their members voted, so they aren't shown.
+          </p>
+        
+          <form onSubmit={handleAddGroup} className="flex items-center gap-2 mb-4">
+            <input
+              type="text"
+              value={newGroup.name}
+              onChange={(e) => setNewGroup(prev => ({ ...prev, name: e.target.value }))}
+              placeholder="e.g., Judges"
+              className="input flex-1"
+              maxLength={30}
+            />
+            <select
+              value={newGroup.weight}
+              onChange={(e) => setNewGroup(prev => ({ ...prev, weight: e.target.value }))}
+              className="input w-auto"
+              title="Weight"
+            >
+              {GROUP_WEIGHTS.map(weight => (
+                <option key={weight} value={weight}>{weight}x</option>
+              ))}
+            </select>
+            <button type="submit" className="btn-primary btn-sm">
+              Add
+            </button>
+          </form>
+        
+          {groups.length === 0 ? (
+            <p className="text-gray-500 text-center py-4">
+              No voting groups. Every vote counts once.
+            </p>
+          ) : (
+            <div className="space-y-3">
+              {groups.map(group => (
+                <div key={group.id} className="flex items-center gap-3 p-3 bg-gray-50 rounded-xl">
+                  <div className="flex-1 min-w-0">
+                    <p className="font-medium text-gray-800">{group.name}</p>
+                    <p className="text-xs text-gray-500">
+                      {group.member_count} {group.member_count === 1 ? 'member' : 'members'}
+                      {group.member_count < MIN_GROUP_VOTERS && ' · too small to show its own standings'}
+                    </p>
+                  </div>
+                  <label className="flex items-center gap-1 text-sm text-gray-600">
+                    Weight
+                    <select
+                      value={group.weight}
+                      onChange={(e) => handleGroupWeightChange(group, e.target.value)}
+                      className="input w-auto py-1 text-sm"
+                    >
+                      {GROUP_WEIGHTS.map(weight => (
+                        <option key={weight} value={weight}>{weight}x</option>
+                      ))}
+                    </select>
+                  </label>
+                  <button
+                    onClick={() => handleDeleteGroup(group)}
+                    className="p-2 text-red-500 hover:bg-red-50 rounded-lg transition-colors"
+                    title="Delete group"
+                  >
+                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                    </svg>
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Admin PIN */}
+      <div className="card p-6 mt-6">
+        <h3 className="font-display font-semibold text-gray-800 mb-4">Change PIN</h3>
+        {newRecoveryCode && (
+          <div className="bg-amber-50 border border-amber-200 rounded-xl p-4 mb-4">
+            <p className="text-sm text-amber-800 mb-1">
+              <strong>New recovery code:</strong>
+            </p>
+            <p className="font-mono text-lg tracking-wider text-amber-900 select-all">
+              {newRecoveryCode}
+            </p>
+            <p className="text-xs text-amber-700 mt-1">
+              Your old recovery code no longer works. Write this one down; it won't be shown again.
+            </p>
+          </div>
+        )}
+        <form onSubmit={handleChangePin} className="space-y-4">
+          <div>
+            <label htmlFor="currentPin" className="label">Current PIN</label>
+            <input
+              type="password"
+              id="currentPin"
+              value={pinForm.currentPin}
+              onChange={(e) => setPinForm(prev => ({ ...prev, currentPin: e.target.value }))}
+              className="input"
+              autoComplete="current-password"
+            />
+          </div>
+          <div>
+            <label htmlFor="newPin" className="label">New PIN</label>
+            <input
+              type="password"
+              id="newPin"
+              value={pinForm.newPin}
+              onChange={(e) => setPinForm(prev => ({ ...prev, newPin: e.target.value }))}
+              placeholder="At least 4 characters"
+              className="input"
+              autoComplete="new-password"
+            />
+          </div>
+          <div>
+            <label htmlFor="confirmPin" className="label">Confirm New PIN</label>
+            <input
+              type="password"
+              id="confirmPin"
+              value={pinForm.confirmPin}
+              onChange={(e) => setPinForm(prev => ({ ...prev, confirmPin: e.target.value }))}
+              className="input"
+              autoComplete="new-password"
+            />
+          </div>
+          <button type="submit" className="btn-secondary">
+            Change PIN
+          </button>
+        </form>
+        <p className="text-xs text-gray-500 mt-3">
+          Changing the PIN also gives you a new recovery code.
+        </p>
+      </div>
+
+      {/* Failed Logins */}
+      {loginAttempts && (
+        <div className="card p-6 mt-6">
+          <h3 className="font-display font-semibold text-gray-800 mb-1">
+            Wrong PIN Attempts ({loginAttempts.attempts.length})
+          </h3>
+          <p className="text-sm text-gray-500 mb-4">
+            Logins to this page with the wrong PIN over the last {loginAttempts.retentionDays} days.
+            After several in a row the login locks for a while.
+          </p>
+          {loginAttempts.attempts.length === 0 ? (
+            <p className="text-gray-500 text-center py-4">No wrong PINs tried.</p>
+          ) : (
+            <div className="space-y-1 max-h-64 overflow-y-auto">
+              {loginAttempts.attempts.map((attempt, index) => (
+                <div key={index} className="flex items-center justify-between px-3 py-2 bg-gray-50 rounded-lg text-sm">
+                  <span className="text-gray-700">{formatDate(attempt.attempted_at)}</span>
+                  <span className="font-mono text-gray-500">{attempt.ip}</span>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Share Link */}
       <div className="card p-6 mt-6">
         <h3 className="font-display font-semibold text-gray-800 mb-4">Share Link</h3>
@@ -363,6 +1208,36 @@ function AdminPage() {
           </button>
         </div>
       </div>
+
+      {/* Delete Contest */}
+      <div className="card p-6 mt-6 border border-red-200">
+        <h3 className="font-display font-semibold text-red-700 mb-2">Delete Contest</h3>
+        <p className="text-sm text-gray-600 mb-4">
+          Permanently deletes the contest with all of its entries, photos, votes and results. This can't be undone.
+        </p>
+        <form onSubmit={handleDeleteContest} className="space-y-4">
+          <div>
+            <label htmlFor="deleteName" className="label">
+              Type <strong>{contest.name}</strong> to confirm
+            </label>
+            <input
+              type="text"
+              id="deleteName"
+              value={deleteName}
+              onChange={(e) => setDeleteName(e.target.value)}
+              className="input"
+              autoComplete="off"
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={deleteName.trim() !== contest.name.trim()}
+            className="btn bg-red-600 text-white hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Delete This Contest
+          </button>
+        </form>
+      </div>
     </div>
   );
 }
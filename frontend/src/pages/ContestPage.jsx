@@ -1,37 +1,116 @@
 import { useState, useEffect, useCallback } from 'react';
-import { useParams, Link } from 'react-router-dom';
-import { fetchContest, fetchEntries, formatDate, getTimeRemaining } from '../utils/api';
+import { useParams, useSearchParams, useNavigate, Link } from 'react-router-dom';
+import { 
+  fetchContest, 
+  fetchEntries, 
+  fetchGuessLeaderboard,
+  verifyInviteCode,
+  getInviteCode,
+  setInviteCode,
+  setEditToken,
+  verifyJudgeCode,
+  getJudgeCode,
+  setJudgeCode,
+  moveContestStorage,
+  formatDate, 
+  getTimeRemaining, 
+  getVoterId 
+} from '../utils/api';
+import InviteCodeForm from '../components/InviteCodeForm';
 import SubmissionPhase from '../components/SubmissionPhase';
 import VotingPhase from '../components/VotingPhase';
+import JudgingPhase from '../components/JudgingPhase';
+import PairwiseVotingPhase from '../components/PairwiseVotingPhase';
+import BracketVotingPhase from '../components/BracketVotingPhase';
+import BracketView from '../components/BracketView';
 import ResultsPhase from '../components/ResultsPhase';
 
 function ContestPage() {
   const { slug } = useParams();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const navigate = useNavigate();
   const [contest, setContest] = useState(null);
   const [entries, setEntries] = useState([]);
   const [entryCount, setEntryCount] = useState(0);
   const [phase, setPhase] = useState(null);
+  const [scoring, setScoring] = useState(null);
+  const [standings, setStandings] = useState([]);
+  const [groupStandings, setGroupStandings] = useState([]);
+  const [divisionStandings, setDivisionStandings] = useState([]);
+  const [bracket, setBracket] = useState(null);
+  const [guessLeaderboard, setGuessLeaderboard] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [timeRemaining, setTimeRemaining] = useState(null);
+  const [member, setMember] = useState(null);
+  const [judge, setJudge] = useState(null);
+
+  // Remember the code from a personal invite, judge or edit link, then tidy it out of
+  // the URL. Declared before the data effect so the code is in place for the first load.
+  useEffect(() => {
+    const invite = searchParams.get('invite');
+    const judgeCode = searchParams.get('judge');
+    const editToken = searchParams.get('edit');
+    if (invite) setInviteCode(slug, invite.trim().toUpperCase());
+    if (judgeCode) setJudgeCode(slug, judgeCode.trim().toUpperCase());
+    if (editToken) setEditToken(slug, editToken.trim());
+    if (invite || judgeCode || editToken) setSearchParams({}, { replace: true });
+  }, [slug, searchParams, setSearchParams]);
 
   const loadData = useCallback(async () => {
     try {
       setLoading(true);
       const [contestData, entriesData] = await Promise.all([
         fetchContest(slug),
-        fetchEntries(slug)
+        fetchEntries(slug, getVoterId(slug))
       ]);
+      // An old link to a contest whose slug has since changed
+      if (contestData.slug !== slug) {
+        moveContestStorage(slug, contestData.slug);
+        navigate(`/contest/${contestData.slug}`, { replace: true });
+        return;
+      }
+      
+      // Roster contests need a valid invite code; forget codes that are no longer on the roster
+      if (contestData.has_roster && getInviteCode(slug)) {
+        try {
+          setMember(await verifyInviteCode(slug, getInviteCode(slug)));
+        } catch {
+          setInviteCode(slug, null);
+          setMember(null);
+        }
+      }
+      
+      if (contestData.voting_mode === 'judged' && getJudgeCode(slug)) {
+        try {
+          setJudge(await verifyJudgeCode(slug, getJudgeCode(slug)));
+        } catch {
+          setJudgeCode(slug, null);
+          setJudge(null);
+        }
+      }
+      
+      // The maker-guessing leaderboard is revealed with the results
+      if (entriesData.phase === 'results') {
+        const guessData = await fetchGuessLeaderboard(slug).catch(() => ({ leaderboard: [] }));
+        setGuessLeaderboard(guessData.leaderboard);
+      }
+      
       setContest(contestData);
       setEntries(entriesData.entries);
       setEntryCount(entriesData.entryCount ?? entriesData.entries.length);
       setPhase(entriesData.phase);
+      setScoring(entriesData.scoring);
+      setStandings(entriesData.standings || []);
+      setGroupStandings(entriesData.groupStandings || []);
+      setDivisionStandings(entriesData.divisionStandings || []);
+      setBracket(entriesData.bracket || null);
     } catch (err) {
       setError(err.message);
     } finally {
       setLoading(false);
     }
-  }, [slug]);
+  }, [slug, navigate]);
 
   useEffect(() => {
     loadData();
@@ -116,6 +195,28 @@ function ContestPage() {
   };
 
   const config = phaseConfig[phase];
+  // Judges don't need to be on the roster to score
+  const needsInvite = contest.has_roster && !member && !judge && phase !== 'results';
+  const isJudged = contest.voting_mode === 'judged';
+  const isPairwise = contest.voting_mode === 'pairwise';
+  const isBracket = contest.voting_mode === 'bracket';
+
+  function handleInviteVerified(verified) {
+    setInviteCode(slug, verified.inviteCode);
+    setMember(verified);
+    loadData();
+  }
+
+  function handleSignOut() {
+    setInviteCode(slug, null);
+    setMember(null);
+    loadData();
+  }
+
+  function handleJudgeSignOut() {
+    setJudgeCode(slug, null);
+    setJudge(null);
+  }
 
   return (
     <div className="max-w-4xl mx-auto px-4 py-8">
@@ -146,6 +247,24 @@ function ContestPage() {
           </div>
         </div>
         
+        {member && (
+          <div className="mt-4 pt-4 border-t border-warm-100 text-sm text-gray-600">
+            👋 Taking part as <strong>{member.name}</strong>
+            <button onClick={handleSignOut} className="ml-2 text-sage-600 hover:text-sage-700 hover:underline">
+              Not you?
+            </button>
+          </div>
+        )}
+        
+        {judge && phase !== 'results' && (
+          <div className="mt-4 pt-4 border-t border-warm-100 text-sm text-gray-600">
+            🧑‍⚖️ Judging as <strong>{judge.name}</strong>
+            <button onClick={handleJudgeSignOut} className="ml-2 text-sage-600 hover:text-sage-700 hover:underline">
+              Not you?
+            </button>
+          </div>
+        )}
+        
         {config.deadline && (
           <div className="mt-4 pt-4 border-t border-warm-100 text-sm text-gray-500">
             {config.deadlineLabel}: {formatDate(config.deadline)}
@@ -164,7 +283,11 @@ function ContestPage() {
       </div>
 
       {/* Phase Content */}
-      {phase === 'submission' && (
+      {needsInvite && (
+        <InviteCodeForm contest={contest} onVerified={handleInviteVerified} />
+      )}
+      
+      {!needsInvite && phase === 'submission' && (
         <SubmissionPhase 
           contest={contest}
           entryCount={entryCount}
@@ -172,7 +295,7 @@ function ContestPage() {
         />
       )}
       
-      {phase === 'voting' && (
+      {!needsInvite && phase === 'voting' && !isJudged && !isPairwise && !isBracket && (
         <VotingPhase 
           contest={contest}
           entries={entries}
@@ -180,12 +303,55 @@ function ContestPage() {
         />
       )}
       
+      {!needsInvite && phase === 'voting' && isPairwise && (
+        <PairwiseVotingPhase 
+          contest={contest}
+          entries={entries}
+        />
+      )}
+      
+      {!needsInvite && phase === 'voting' && isBracket && (
+        <BracketVotingPhase 
+          contest={contest}
+          onBracketFinished={loadData}
+        />
+      )}
+      
+      {!needsInvite && phase === 'voting' && isJudged && (judge ? (
+        <JudgingPhase 
+          contest={contest}
+          entries={entries}
+          judge={judge}
+        />
+      ) : (
+        <div className="card p-8 text-center">
+          <div className="text-5xl mb-4">🧑‍⚖️</div>
+          <h2 className="font-display text-xl font-bold text-gray-800 mb-2">
+            The Judges Are Scoring
+          </h2>
+          <p className="text-gray-600">
+            This contest is decided by its judges. Check back when judging closes to see the results.
+          </p>
+        </div>
+      ))}
+      
       {phase === 'results' && (
         <ResultsPhase 
           contest={contest}
           entries={entries}
+          standings={standings}
+          groupStandings={groupStandings}
+          divisionStandings={divisionStandings}
+          guessLeaderboard={guessLeaderboard}
+          scoring={scoring}
         />
       )}
+      
+      {phase === 'results' && bracket && (
+        <div className="mt-8">
+          <BracketView bracket={bracket} />
+        </div>
+      )}
     </div>
   );
 }
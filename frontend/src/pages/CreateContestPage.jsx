@@ -1,6 +1,13 @@
 import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { createContest, fetchTimezone } from '../utils/api';
+import { createContest, fetchTimezone, getRankConfig, SCORING_METHODS, VOTING_MODES } from '../utils/api';
+
+const MAX_PICKS = 10;
+const MAX_CATEGORIES = 10;
+const MAX_DIVISIONS = 10;
+const MAX_CRITERIA = 10;
+const MAX_CRITERION_SCORE = 100;
+const MAX_VIDEO_SECONDS = 120;
 
 function CreateContestPage() {
   const navigate = useNavigate();
@@ -15,7 +22,24 @@ function CreateContestPage() {
     adminPin: '',
     confirmPin: '',
     submissionDeadline: '',
-    votingDeadline: ''
+    votingDeadline: '',
+    maxPicks: '3',
+    scoringMethod: 'borda',
+    bordaWeights: ['3', '2', '1'],
+    categories: [],
+    divisions: [],
+    divisionVoting: 'overall',
+    votingMode: 'ranked',
+    allowVideos: 'no',
+    videoMaxSeconds: '30',
+    videoMaxMb: '50',
+    duplicatePhotos: 'flag',
+    checkPastContests: 'no',
+    criteria: [
+      { name: 'Creativity', maxScore: '10' },
+      { name: 'Technique', maxScore: '10' },
+      { name: 'Theme', maxScore: '10' }
+    ]
   });
 
   useEffect(() => {
@@ -44,6 +68,76 @@ function CreateContestPage() {
     setError(null);
   }
 
+  function handleMaxPicksChange(e) {
+    const value = e.target.value;
+    const picks = parseInt(value);
+    setFormData(prev => ({
+      ...prev,
+      maxPicks: value,
+      // Reset points to N for 1st down to 1 for last whenever the number of picks changes
+      bordaWeights: picks >= 1 && picks <= MAX_PICKS
+        ? Array.from({ length: picks }, (_, i) => String(picks - i))
+        : prev.bordaWeights
+    }));
+    setError(null);
+  }
+
+  function handleCategoryChange(index, value) {
+    setFormData(prev => ({
+      ...prev,
+      categories: prev.categories.map((c, i) => (i === index ? value : c))
+    }));
+    setError(null);
+  }
+
+  function addCategory() {
+    setFormData(prev => ({ ...prev, categories: [...prev.categories, ''] }));
+  }
+
+  function removeCategory(index) {
+    setFormData(prev => ({ ...prev, categories: prev.categories.filter((_, i) => i !== index) }));
+  }
+
+  function handleDivisionChange(index, value) {
+    setFormData(prev => ({
+      ...prev,
+      divisions: prev.divisions.map((d, i) => (i === index ? value : d))
+    }));
+    setError(null);
+  }
+
+  function addDivision() {
+    setFormData(prev => ({ ...prev, divisions: [...prev.divisions, ''] }));
+  }
+
+  function removeDivision(index) {
+    setFormData(prev => ({ ...prev, divisions: prev.divisions.filter((_, i) => i !== index) }));
+  }
+
+  function handleCriterionChange(index, field, value) {
+    setFormData(prev => ({
+      ...prev,
+      criteria: prev.criteria.map((c, i) => (i === index ? { ...c, [field]: value } : c))
+    }));
+    setError(null);
+  }
+
+  function addCriterion() {
+    setFormData(prev => ({ ...prev, criteria: [...prev.criteria, { name: '', maxScore: '10' }] }));
+  }
+
+  function removeCriterion(index) {
+    setFormData(prev => ({ ...prev, criteria: prev.criteria.filter((_, i) => i !== index) }));
+  }
+
+  function handleWeightChange(index, value) {
+    setFormData(prev => ({
+      ...prev,
+      bordaWeights: prev.bordaWeights.map((w, i) => (i === index ? value : w))
+    }));
+    setError(null);
+  }
+
   async function handleSubmit(e) {
     e.preventDefault();
     setError(null);
@@ -77,6 +171,66 @@ function CreateContestPage() {
       return;
     }
     
+    const maxPicks = Number(formData.maxPicks);
+    if (!Number.isInteger(maxPicks) || maxPicks < 1 || maxPicks > MAX_PICKS) {
+      setError(`Number of picks must be between 1 and ${MAX_PICKS}`);
+      return;
+    }
+    
+    const bordaWeights = formData.bordaWeights.map(Number);
+    if (formData.scoringMethod === 'borda' &&
+        formData.bordaWeights.some((w, i) => w === '' || !(bordaWeights[i] >= 0))) {
+      setError('Points must be a non-negative number for each rank');
+      return;
+    }
+    
+    const isJudged = formData.votingMode === 'judged';
+    const categories = isJudged ? [] : formData.categories.map(c => c.trim()).filter(Boolean);
+    if (new Set(categories.map(c => c.toLowerCase())).size !== categories.length) {
+      setError('Category names must be unique');
+      return;
+    }
+    
+    const divisions = formData.divisions.map(d => d.trim()).filter(Boolean);
+    if (new Set(divisions.map(d => d.toLowerCase())).size !== divisions.length) {
+      setError('Division names must be unique');
+      return;
+    }
+    if (categories.length > 0 && divisions.length > 0) {
+      setError("Award categories and divisions can't be combined");
+      return;
+    }
+    const divisionVoting = formData.votingMode === 'ranked' && divisions.length > 0 ? formData.divisionVoting : 'overall';
+    
+    const criteria = formData.criteria.map(c => ({ name: c.name.trim(), maxScore: Number(c.maxScore) }));
+    if (isJudged) {
+      if (criteria.length === 0 || criteria.some(c => !c.name)) {
+        setError('Every judging criterion needs a name');
+        return;
+      }
+      if (new Set(criteria.map(c => c.name.toLowerCase())).size !== criteria.length) {
+        setError('Criterion names must be unique');
+        return;
+      }
+      if (criteria.some(c => !Number.isInteger(c.maxScore) || c.maxScore < 2 || c.maxScore > MAX_CRITERION_SCORE)) {
+        setError(`Criterion max scores must be whole numbers from 2 to ${MAX_CRITERION_SCORE}`);
+        return;
+      }
+    }
+    
+    const allowVideos = formData.allowVideos === 'yes';
+    const videoLimits = { maxSeconds: Number(formData.videoMaxSeconds), maxSizeMb: Number(formData.videoMaxMb) };
+    if (allowVideos) {
+      if (!Number.isInteger(videoLimits.maxSeconds) || videoLimits.maxSeconds < 1 || videoLimits.maxSeconds > MAX_VIDEO_SECONDS) {
+        setError(`Video length limit must be between 1 and ${MAX_VIDEO_SECONDS} seconds`);
+        return;
+      }
+      if (!Number.isInteger(videoLimits.maxSizeMb) || videoLimits.maxSizeMb < 1) {
+        setError('Video size limit must be a whole number of MB');
+        return;
+      }
+    }
+    
     try {
       setLoading(true);
       const contest = await createContest({
@@ -84,7 +238,18 @@ function CreateContestPage() {
         description: formData.description.trim(),
         adminPin: formData.adminPin,
         submissionDeadline: formData.submissionDeadline,
-        votingDeadline: formData.votingDeadline
+        votingDeadline: formData.votingDeadline,
+        maxPicks,
+        scoringMethod: formData.scoringMethod,
+        bordaWeights: formData.scoringMethod === 'borda' ? bordaWeights : undefined,
+        categories,
+        divisions,
+        divisionVoting,
+        votingMode: formData.votingMode,
+        criteria: isJudged ? criteria : undefined,
+        videoLimits: allowVideos ? videoLimits : undefined,
+        duplicatePhotos: formData.duplicatePhotos,
+        checkPastContests: formData.checkPastContests === 'yes'
       });
       
       setSuccess(contest);
@@ -141,7 +306,20 @@ function CreateContestPage() {
               Use your PIN to manage the contest
             </p>
           </div>
-          
+
+          <div className="bg-amber-50 border border-amber-200 rounded-2xl p-4 mb-6">
+            <p className="text-sm text-amber-800 mb-2">
+              <strong>Recovery code:</strong>
+            </p>
+            <p className="font-mono text-lg tracking-wider text-amber-900 select-all">
+              {success.recoveryCode}
+            </p>
+            <p className="text-xs text-amber-700 mt-2">
+              Write this down somewhere safe. If you forget your PIN, it lets you set a new one.
+              It's only shown now, and works once.
+            </p>
+          </div>
+
           <div className="flex flex-col sm:flex-row gap-3 justify-center">
             <button
               onClick={() => navigate(`/contest/${success.slug}`)}
@@ -213,6 +391,108 @@ function CreateContestPage() {
             />
           </div>
 
+          {/* Award Categories */}
+          {formData.votingMode === 'ranked' && (
+            <div>
+              <label className="label">
+                Award Categories <span className="text-gray-400 font-normal">(optional)</span>
+              </label>
+              <p className="text-sm text-gray-500 mb-2">
+                Voters rank entries separately in each category, and each category gets its own podium.
+              </p>
+              <div className="space-y-2">
+                {formData.categories.map((category, index) => (
+                  <div key={index} className="flex items-center gap-2">
+                    <input
+                      type="text"
+                      value={category}
+                      onChange={(e) => handleCategoryChange(index, e.target.value)}
+                      placeholder="e.g., Scariest"
+                      className="input flex-1"
+                      maxLength={50}
+                    />
+                    <button
+                      type="button"
+                      onClick={() => removeCategory(index)}
+                      className="p-2 text-red-500 hover:bg-red-50 rounded-lg transition-colors"
+                      title="Remove category"
+                    >
+                      <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                      </svg>
+                    </button>
+                  </div>
+                ))}
+              </div>
+              {formData.categories.length < MAX_CATEGORIES && (
+                <button type="button" onClick={addCategory} className="btn-ghost btn-sm mt-2">
+                  + Add Category
+                </button>
+              )}
+            </div>
+          )}
+
+          {/* Divisions */}
+          <div>
+            <label className="label">
+              Divisions <span className="text-gray-400 font-normal">(optional)</span>
+            </label>
+            <p className="text-sm text-gray-500 mb-2">
+              Split entrants into groups such as age bands. Everyone picks their division when they enter, and each division gets its own podium.
+            </p>
+            <div className="space-y-2">
+              {formData.divisions.map((division, index) => (
+                <div key={index} className="flex items-center gap-2">
+                  <input
+                    type="text"
+                    value={division}
+                    onChange={(e) => handleDivisionChange(index, e.target.value)}
+                    placeholder="e.g., Under 10"
+                    className="input flex-1"
+                    maxLength={50}
+                  />
+                  <button
+                    type="button"
+                    onClick={() => removeDivision(index)}
+                    className="p-2 text-red-500 hover:bg-red-50 rounded-lg transition-colors"
+                    title="Remove division"
+                  >
+                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                    </svg>
+                  </button>
+                </div>
+              ))}
+            </div>
+            {formData.divisions.length < MAX_DIVISIONS && (
+              <button type="button" onClick={addDivision} className="btn-ghost btn-sm mt-2">
+                + Add Division
+              </button>
+            )}
+            {formData.votingMode === 'ranked' && formData.divisions.length > 0 && (
+              <div className="mt-3">
+                <label htmlFor="divisionVoting" className="label">
+                  How Voting Works With Divisions
+                </label>
+                <select
+                  id="divisionVoting"
+                  name="divisionVoting"
+                  value={formData.divisionVoting}
+                  onChange={handleChange}
+                  className="input"
+                >
+                  <option value="overall">Everyone votes across all entries</option>
+                  <option value="within">Voters pick favorites within each division</option>
+                </select>
+                {formData.divisionVoting === 'within' && (
+                  <p className="text-xs text-gray-500 mt-1">
+                    Each division gets its own winner. There's no overall winner, since no vote compares entries from different divisions.
+                  </p>
+                )}
+              </div>
+            )}
+          </div>
+
           {/* Deadlines */}
           <div className="grid sm:grid-cols-2 gap-4">
             <div>
@@ -249,6 +529,226 @@ function CreateContestPage() {
             </p>
           )}
 
+          {/* Entry Media */}
+          <div className="border-t border-warm-100 pt-6">
+            <label htmlFor="allowVideos" className="label">
+              Entries Can Include
+            </label>
+            <select
+              id="allowVideos"
+              name="allowVideos"
+              value={formData.allowVideos}
+              onChange={handleChange}
+              className="input"
+            >
+              <option value="no">Photos only</option>
+              <option value="yes">Photos and short videos</option>
+            </select>
+            {formData.allowVideos === 'yes' && (
+              <div className="grid grid-cols-2 gap-4 mt-3">
+                <div>
+                  <label htmlFor="videoMaxSeconds" className="label">Max Length (seconds)</label>
+                  <input
+                    type="number"
+                    id="videoMaxSeconds"
+                    name="videoMaxSeconds"
+                    value={formData.videoMaxSeconds}
+                    onChange={handleChange}
+                    className="input"
+                    min={1}
+                    max={MAX_VIDEO_SECONDS}
+                  />
+                </div>
+                <div>
+                  <label htmlFor="videoMaxMb" className="label">Max Size (MB)</label>
+                  <input
+                    type="number"
+                    id="videoMaxMb"
+                    name="videoMaxMb"
+                    value={formData.videoMaxMb}
+                    onChange={handleChange}
+                    className="input"
+                    min={1}
+                  />
+                </div>
+              </div>
+            )}
+            <p className="text-sm text-gray-500 mt-1">
+              Great for lit-up pumpkins and anything that moves. Clips play right in the gallery, with a still frame until they're played.
+            </p>
+          </div>
+
+          {/* Duplicate Photos */}
+          <div>
+            <div className="grid sm:grid-cols-2 gap-4">
+              <div>
+                <label htmlFor="duplicatePhotos" className="label">
+                  Near-Duplicate Photos
+                </label>
+                <select
+                  id="duplicatePhotos"
+                  name="duplicatePhotos"
+                  value={formData.duplicatePhotos}
+                  onChange={handleChange}
+                  className="input"
+                >
+                  <option value="flag">Flag them for me to review</option>
+                  <option value="reject">Turn them away</option>
+                </select>
+              </div>
+              <div>
+                <label htmlFor="checkPastContests" className="label">
+                  Compare With Past Contests
+                </label>
+                <select
+                  id="checkPastContests"
+                  name="checkPastContests"
+                  value={formData.checkPastContests}
+                  onChange={handleChange}
+                  className="input"
+                >
+                  <option value="no">No, just this contest</option>
+                  <option value="yes">Yes, flag photos entered before</option>
+                </select>
+              </div>
+            </div>
+            <p className="text-sm text-gray-500 mt-1">
+              Catches the same photo entered twice under different names. Matches are shown on the admin page.
+            </p>
+          </div>
+
+          {/* Voting & Scoring */}
+          <div className="border-t border-warm-100 pt-6">
+            <label htmlFor="votingMode" className="label">
+              Who Decides
+            </label>
+            <select
+              id="votingMode"
+              name="votingMode"
+              value={formData.votingMode}
+              onChange={handleChange}
+              className="input"
+            >
+              {Object.entries(VOTING_MODES).map(([value, mode]) => (
+                <option key={value} value={value}>{mode.label}</option>
+              ))}
+            </select>
+            <p className="text-sm text-gray-500 mt-1 mb-4">
+              {VOTING_MODES[formData.votingMode].description}
+            </p>
+            
+            {formData.votingMode === 'judged' && (
+              <div>
+                <label className="label">Judging Criteria</label>
+                <div className="space-y-2">
+                  {formData.criteria.map((criterion, index) => (
+                    <div key={index} className="flex items-center gap-2">
+                      <input
+                        type="text"
+                        value={criterion.name}
+                        onChange={(e) => handleCriterionChange(index, 'name', e.target.value)}
+                        placeholder="e.g., Creativity"
+                        className="input flex-1"
+                        maxLength={50}
+                      />
+                      <span className="text-sm text-gray-500">1 –</span>
+                      <input
+                        type="number"
+                        value={criterion.maxScore}
+                        onChange={(e) => handleCriterionChange(index, 'maxScore', e.target.value)}
+                        className="input w-20"
+                        min={2}
+                        max={MAX_CRITERION_SCORE}
+                        title="Highest score"
+                      />
+                      <button
+                        type="button"
+                        onClick={() => removeCriterion(index)}
+                        className="p-2 text-red-500 hover:bg-red-50 rounded-lg transition-colors"
+                        title="Remove criterion"
+                      >
+                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                        </svg>
+                      </button>
+                    </div>
+                  ))}
+                </div>
+                {formData.criteria.length < MAX_CRITERIA && (
+                  <button type="button" onClick={addCriterion} className="btn-ghost btn-sm mt-2">
+                    + Add Criterion
+                  </button>
+                )}
+                <p className="text-sm text-gray-500 mt-2">
+                  Add judges from the admin panel once the contest is created.
+                </p>
+              </div>
+            )}
+          </div>
+
+          {formData.votingMode === 'ranked' && (
+            <div className="border-t border-warm-100 pt-6">
+              <label htmlFor="maxPicks" className="label">
+                Picks per Voter
+              </label>
+              <input
+                type="number"
+                id="maxPicks"
+                name="maxPicks"
+                value={formData.maxPicks}
+                onChange={handleMaxPicksChange}
+                className="input"
+                min={1}
+                max={MAX_PICKS}
+              />
+              <p className="text-sm text-gray-500 mt-1 mb-4">
+                How many favorites each voter ranks. Capped at the number of entries.
+              </p>
+            
+              <label htmlFor="scoringMethod" className="label">
+                Scoring Method
+              </label>
+              <select
+                id="scoringMethod"
+                name="scoringMethod"
+                value={formData.scoringMethod}
+                onChange={handleChange}
+                className="input"
+              >
+                {Object.entries(SCORING_METHODS).map(([value, method]) => (
+                  <option key={value} value={value}>{method.label}</option>
+                ))}
+              </select>
+              <p className="text-sm text-gray-500 mt-1">
+                {SCORING_METHODS[formData.scoringMethod].description}
+              </p>
+            
+              {formData.scoringMethod === 'borda' && (
+                <div className="grid grid-cols-3 sm:grid-cols-5 gap-4 mt-4">
+                  {formData.bordaWeights.map((weight, index) => {
+                    const config = getRankConfig(index + 1);
+                    return (
+                      <div key={index}>
+                        <label htmlFor={`bordaWeight${index}`} className="label">
+                          {index < 3 ? `${config.emoji} ${config.label}` : config.label}
+                        </label>
+                        <input
+                          type="number"
+                          id={`bordaWeight${index}`}
+                          value={weight}
+                          onChange={(e) => handleWeightChange(index, e.target.value)}
+                          className="input"
+                          min={0}
+                          step="any"
+                        />
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
+            </div>
+          )}
+
           {/* Admin PIN */}
           <div className="border-t border-warm-100 pt-6">
             <p className="text-sm text-gray-500 mb-4">
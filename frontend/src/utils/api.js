@@ -13,12 +13,25 @@ export async function fetchApi(endpoint, options = {}) {
   const data = await response.json();
   
   if (!response.ok) {
-    throw new Error(data.error || 'An error occurred');
+    const error = new Error(data.error || 'An error occurred');
+    error.status = response.status;
+    throw error;
   }
   
   return data;
 }
 
+// Admin routes need the session token from loginAdmin
+function fetchAdminApi(slug, endpoint, options = {}) {
+  return fetchApi(`/contests/${slug}/admin${endpoint}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${getAdminToken(slug)}`
+    }
+  });
+}
+
 export async function fetchContests() {
   return fetchApi('/contests');
 }
@@ -34,8 +47,10 @@ export async function createContest(data) {
   });
 }
 
-export async function fetchEntries(slug) {
-  return fetchApi(`/contests/${slug}/entries`);
+// Passing the voter ID lets the server flag the voter's own entry during voting
+export async function fetchEntries(slug, voterId) {
+  const query = voterId ? `?voterId=${encodeURIComponent(voterId)}` : '';
+  return fetchApi(`/contests/${slug}/entries${query}`);
 }
 
 export async function submitEntry(slug, formData) {
@@ -53,6 +68,34 @@ export async function submitEntry(slug, formData) {
   return data;
 }
 
+// The submitter's own entry, found by the edit token returned when it was submitted
+export async function fetchMyEntry(slug, editToken) {
+  return fetchApi(`/contests/${slug}/entries/mine?editToken=${encodeURIComponent(editToken)}`);
+}
+
+// formData carries the edit token, and a new name and/or replacement media
+export async function updateMyEntry(slug, formData) {
+  const response = await fetch(`${API_BASE}/contests/${slug}/entries/mine`, {
+    method: 'PUT',
+    body: formData
+  });
+  
+  const data = await response.json();
+  
+  if (!response.ok) {
+    throw new Error(data.error || 'Failed to update entry');
+  }
+  
+  return data;
+}
+
+export async function withdrawMyEntry(slug, editToken) {
+  return fetchApi(`/contests/${slug}/entries/mine`, {
+    method: 'DELETE',
+    body: JSON.stringify({ editToken })
+  });
+}
+
 export async function submitVotes(slug, voterId, votes) {
   return fetchApi(`/contests/${slug}/votes`, {
     method: 'POST',
@@ -64,41 +107,282 @@ export async function fetchMyVotes(slug, voterId) {
   return fetchApi(`/contests/${slug}/votes/${voterId}`);
 }
 
-export async function verifyAdminPin(slug, pin) {
-  return fetchApi(`/contests/${slug}/admin/verify`, {
+// Exchange the admin PIN for a session token, remembered for this contest
+export async function loginAdmin(slug, pin) {
+  const session = await fetchApi(`/contests/${slug}/admin/login`, {
     method: 'POST',
     body: JSON.stringify({ pin })
   });
+  setAdminToken(slug, session.token);
+  return session;
+}
+
+// Set a new PIN with the contest's recovery code. Logs in like loginAdmin, and
+// the response carries the replacement recovery code.
+export async function recoverAdminPin(slug, recoveryCode, newPin) {
+  const session = await fetchApi(`/contests/${slug}/admin/recover`, {
+    method: 'POST',
+    body: JSON.stringify({ recoveryCode, newPin })
+  });
+  setAdminToken(slug, session.token);
+  return session;
 }
 
-export async function updateContest(slug, pin, data) {
-  return fetchApi(`/contests/${slug}/admin`, {
+// Check the remembered session is still good; throws with status 401 if not
+export async function checkAdminSession(slug) {
+  return fetchAdminApi(slug, '/session');
+}
+
+export async function logoutAdmin(slug) {
+  try {
+    await fetchAdminApi(slug, '/logout', { method: 'POST' });
+  } finally {
+    setAdminToken(slug, null);
+  }
+}
+
+// Wrong PINs recently tried against this contest's admin login
+export async function fetchLoginAttempts(slug) {
+  return fetchAdminApi(slug, '/login-attempts');
+}
+
+export async function changeAdminPin(slug, currentPin, newPin) {
+  return fetchAdminApi(slug, '/pin', {
     method: 'PUT',
-    body: JSON.stringify({ pin, ...data })
+    body: JSON.stringify({ currentPin, newPin })
   });
 }
 
-export async function fetchAdminEntries(slug, pin) {
-  return fetchApi(`/contests/${slug}/admin/entries`, {
-    method: 'POST',
-    body: JSON.stringify({ pin })
+export async function updateContest(slug, data) {
+  return fetchAdminApi(slug, '', {
+    method: 'PUT',
+    body: JSON.stringify(data)
   });
 }
 
-export async function deleteEntry(slug, entryId, pin) {
-  return fetchApi(`/contests/${slug}/admin/entries/${entryId}`, {
+// Deleting needs the contest's name typed back exactly
+export async function deleteContest(slug, confirmName) {
+  return fetchAdminApi(slug, '', {
     method: 'DELETE',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ pin })
+    body: JSON.stringify({ confirmName })
+  });
+}
+
+export async function fetchAdminEntries(slug) {
+  return fetchAdminApi(slug, '/entries');
+}
+
+export async function deleteEntry(slug, entryId) {
+  return fetchAdminApi(slug, `/entries/${entryId}`, { method: 'DELETE' });
+}
+
+export async function dismissDuplicateFlags(slug, entryId) {
+  return fetchAdminApi(slug, `/entries/${entryId}/flags`, { method: 'DELETE' });
+}
+
+export async function verifyInviteCode(slug, inviteCode) {
+  return fetchApi(`/contests/${slug}/roster/verify`, {
+    method: 'POST',
+    body: JSON.stringify({ inviteCode })
+  });
+}
+
+export async function fetchRoster(slug) {
+  return fetchAdminApi(slug, '/roster');
+}
+
+export async function addRosterMember(slug, name) {
+  return fetchAdminApi(slug, '/roster/members', {
+    method: 'POST',
+    body: JSON.stringify({ name })
+  });
+}
+
+export async function removeRosterMember(slug, memberId) {
+  return fetchAdminApi(slug, `/roster/members/${memberId}`, { method: 'DELETE' });
+}
+
+export async function setRosterMemberGroup(slug, memberId, groupId) {
+  return fetchAdminApi(slug, `/roster/members/${memberId}`, {
+    method: 'PUT',
+    body: JSON.stringify({ groupId })
+  });
+}
+
+export async function fetchVoterGroups(slug) {
+  return fetchAdminApi(slug, '/groups');
+}
+
+export async function addVoterGroup(slug, name, weight) {
+  return fetchAdminApi(slug, '/groups/add', {
+    method: 'POST',
+    body: JSON.stringify({ name, weight })
+  });
+}
+
+export async function updateVoterGroup(slug, groupId, weight) {
+  return fetchAdminApi(slug, `/groups/${groupId}`, {
+    method: 'PUT',
+    body: JSON.stringify({ weight })
+  });
+}
+
+export async function deleteVoterGroup(slug, groupId) {
+  return fetchAdminApi(slug, `/groups/${groupId}`, { method: 'DELETE' });
+}
+
+export async function fetchNextPair(slug, voterId) {
+  return fetchApi(`/contests/${slug}/pairwise/next?voterId=${encodeURIComponent(voterId)}`);
+}
+
+export async function submitPairwiseVote(slug, voterId, winnerId, loserId) {
+  return fetchApi(`/contests/${slug}/pairwise`, {
+    method: 'POST',
+    body: JSON.stringify({ voterId, winnerId, loserId })
+  });
+}
+
+export async function fetchGuesses(slug, voterId) {
+  return fetchApi(`/contests/${slug}/guesses?voterId=${encodeURIComponent(voterId)}`);
+}
+
+export async function submitGuesses(slug, voterId, guesserName, guesses) {
+  return fetchApi(`/contests/${slug}/guesses`, {
+    method: 'POST',
+    body: JSON.stringify({ voterId, guesserName, guesses })
+  });
+}
+
+export async function fetchGuessLeaderboard(slug) {
+  return fetchApi(`/contests/${slug}/guesses/leaderboard`);
+}
+
+export async function fetchBracket(slug, voterId) {
+  return fetchApi(`/contests/${slug}/bracket?voterId=${encodeURIComponent(voterId || '')}`);
+}
+
+export async function submitBracketVotes(slug, voterId, picks) {
+  return fetchApi(`/contests/${slug}/bracket/votes`, {
+    method: 'POST',
+    body: JSON.stringify({ voterId, picks })
   });
 }
 
+export async function closeBracketRound(slug) {
+  return fetchAdminApi(slug, '/bracket/close-round', { method: 'POST' });
+}
+
+export async function verifyJudgeCode(slug, judgeCode) {
+  return fetchApi(`/contests/${slug}/judges/verify`, {
+    method: 'POST',
+    body: JSON.stringify({ judgeCode })
+  });
+}
+
+export async function fetchJudgeScores(slug, judgeCode) {
+  return fetchApi(`/contests/${slug}/judge-scores/${judgeCode}`);
+}
+
+export async function submitJudgeScores(slug, judgeCode, scores) {
+  return fetchApi(`/contests/${slug}/judge-scores`, {
+    method: 'POST',
+    body: JSON.stringify({ judgeCode, scores })
+  });
+}
+
+export async function fetchJudges(slug) {
+  return fetchAdminApi(slug, '/judges');
+}
+
+export async function addJudge(slug, name) {
+  return fetchAdminApi(slug, '/judges/add', {
+    method: 'POST',
+    body: JSON.stringify({ name })
+  });
+}
+
+export async function removeJudge(slug, judgeId) {
+  return fetchAdminApi(slug, `/judges/${judgeId}`, { method: 'DELETE' });
+}
+
 export async function fetchTimezone() {
   return fetchApi('/timezone');
 }
 
-// Generate a unique voter ID stored in localStorage
-export function getVoterId() {
+// Invite codes for roster contests are remembered per contest
+export function getInviteCode(slug) {
+  return localStorage.getItem(`familyContestInvite:${slug}`);
+}
+
+export function setInviteCode(slug, inviteCode) {
+  if (inviteCode) {
+    localStorage.setItem(`familyContestInvite:${slug}`, inviteCode);
+  } else {
+    localStorage.removeItem(`familyContestInvite:${slug}`);
+  }
+}
+
+// Admin session tokens are remembered per contest, so the admin stays logged in across reloads
+export function getAdminToken(slug) {
+  return localStorage.getItem(`familyContestAdmin:${slug}`);
+}
+
+export function setAdminToken(slug, token) {
+  if (token) {
+    localStorage.setItem(`familyContestAdmin:${slug}`, token);
+  } else {
+    localStorage.removeItem(`familyContestAdmin:${slug}`);
+  }
+}
+
+// Judge codes for judged contests are remembered per contest
+export function getJudgeCode(slug) {
+  return localStorage.getItem(`familyContestJudge:${slug}`);
+}
+
+export function setJudgeCode(slug, judgeCode) {
+  if (judgeCode) {
+    localStorage.setItem(`familyContestJudge:${slug}`, judgeCode);
+  } else {
+    localStorage.removeItem(`familyContestJudge:${slug}`);
+  }
+}
+
+// Edit tokens for the visitor's own entry are remembered per contest
+export function getEditToken(slug) {
+  return localStorage.getItem(`familyContestEdit:${slug}`);
+}
+
+export function setEditToken(slug, editToken) {
+  if (editToken) {
+    localStorage.setItem(`familyContestEdit:${slug}`, editToken);
+  } else {
+    localStorage.removeItem(`familyContestEdit:${slug}`);
+  }
+}
+
+// When a contest gets a new slug, carry over what this browser remembers for it
+export function moveContestStorage(oldSlug, newSlug) {
+  for (const prefix of ['familyContestInvite', 'familyContestAdmin', 'familyContestJudge', 'familyContestEdit']) {
+    const value = localStorage.getItem(`${prefix}:${oldSlug}`);
+    if (value !== null && localStorage.getItem(`${prefix}:${newSlug}`) === null) {
+      localStorage.setItem(`${prefix}:${newSlug}`, value);
+    }
+    localStorage.removeItem(`${prefix}:${oldSlug}`);
+  }
+}
+
+// Link that opens the contest with an entry's edit token, for use on another device
+export function getEditLink(slug, editToken) {
+  return `${window.location.origin}/contest/${slug}?edit=${encodeURIComponent(editToken)}`;
+}
+
+// Generate a unique voter ID stored in localStorage. In roster contests the
+// invite code is the voter ID, so a ballot follows the person, not the browser.
+export function getVoterId(slug) {
+  const inviteCode = slug && getInviteCode(slug);
+  if (inviteCode) return inviteCode;
+  
   let voterId = localStorage.getItem('familyContestVoterId');
   if (!voterId) {
     voterId = 'voter_' + Math.random().toString(36).substr(2, 9) + Date.now().toString(36);
@@ -119,6 +403,23 @@ export function formatDate(dateString) {
   });
 }
 
+// Format a rank as an ordinal, e.g. 1 -> "1st", 12 -> "12th"
+export function formatOrdinal(n) {
+  const suffixes = { one: 'st', two: 'nd', few: 'rd', other: 'th' };
+  return `${n}${suffixes[new Intl.PluralRules('en-US', { type: 'ordinal' }).select(n)]}`;
+}
+
+// Display style for each rank a voter can pick
+export function getRankConfig(rank) {
+  const medals = {
+    1: { label: '1st', emoji: '🥇', color: 'bg-amber-400 text-amber-900', textColor: 'text-amber-600' },
+    2: { label: '2nd', emoji: '🥈', color: 'bg-gray-300 text-gray-700', textColor: 'text-gray-600' },
+    3: { label: '3rd', emoji: '🥉', color: 'bg-orange-300 text-orange-800', textColor: 'text-orange-600' }
+  };
+  const label = formatOrdinal(rank);
+  return medals[rank] || { label, emoji: label, color: 'bg-sage-200 text-sage-800', textColor: 'text-sage-600' };
+}
+
 // Format date for input fields
 export function formatDateForInput(dateString) {
   const date = new Date(dateString);
@@ -141,3 +442,85 @@ export function getTimeRemaining(deadline) {
   if (hours > 0) return `${hours}h ${minutes}m remaining`;
   return `${minutes}m remaining`;
 }
+
+// Everyone credited for an entry: its submitter, then any team members,
+// as "Ann", "Ann & Tom" or "Ann, Tom & Lily"
+export function formatMakers(entry) {
+  const names = [entry.name, ...(entry.team || [])];
+  if (names.length === 1) return names[0];
+  return `${names.slice(0, -1).join(', ')} & ${names[names.length - 1]}`;
+}
+
+// URL of an uploaded photo. Pass 'thumb' or 'medium' for a smaller copy; leave
+// size out for the full photo.
+export function imageUrl(filename, size) {
+  return size ? `/uploads/${size}/${filename}` : `/uploads/${filename}`;
+}
+
+// An entry's photos and video clips, cover first, as { type, url, posterUrl,
+// thumbUrl, mediumUrl }. For clips the smaller sizes are of the poster frame.
+export function getEntryMedia(entry) {
+  const items = entry.media?.length
+    ? entry.media
+    : [{ type: 'image', filename: entry.image_filename, poster: null }];
+  return items.map(item => {
+    const still = item.type === 'video' ? item.poster : item.filename;
+    return {
+      type: item.type,
+      url: imageUrl(item.filename),
+      posterUrl: item.poster ? imageUrl(item.poster) : null,
+      thumbUrl: still ? imageUrl(still, 'thumb') : null,
+      mediumUrl: still ? imageUrl(still, 'medium') : null
+    };
+  });
+}
+
+// Scoring methods a contest can use to turn ballots into results
+export const SCORING_METHODS = {
+  borda: {
+    label: 'Points per rank',
+    description: 'Each rank is worth a set number of points. The most points wins.',
+    unit: 'points'
+  },
+  approval: {
+    label: 'Approval',
+    description: 'Every pick counts as one vote, whatever its rank. The most votes wins.',
+    unit: 'votes'
+  },
+  irv: {
+    label: 'Instant runoff',
+    description: 'The entry with the fewest 1st choices is eliminated and its ballots move to their next choice, until one entry has a majority.',
+    unit: 'final-round votes'
+  },
+  schulze: {
+    label: 'Head-to-head (Schulze)',
+    description: 'Entries are compared in every pairing. The entry that beats the most others head-to-head wins.',
+    unit: 'head-to-head wins'
+  }
+};
+
+// How a contest collects ballots: ranked by everyone, picked in pairs, scored by judges, or voted through a bracket
+export const VOTING_MODES = {
+  ranked: {
+    label: 'Everyone votes',
+    description: 'Everyone ranks their favorite entries.'
+  },
+  pairwise: {
+    label: 'Head-to-head',
+    description: 'Voters see two entries at a time and pick the one they like more. Handy when there are lots of entries.'
+  },
+  judged: {
+    label: 'Judges score',
+    description: 'Judges you invite score every entry on each criterion. The highest total of criterion averages wins.'
+  },
+  bracket: {
+    label: 'Bracket tournament',
+    description: 'Entries face off in knockout rounds, and everyone votes on each matchup. The voting period is split evenly between the rounds.'
+  }
+};
+
+// "Final", "Semifinals", "Quarterfinals", then "Round 1", "Round 2"... for earlier rounds
+export function roundName(round, totalRounds) {
+  const fromEnd = totalRounds - round;
+  return ['Final', 'Semifinals', 'Quarterfinals'][fromEnd] || `Round ${round}`;
+}